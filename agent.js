@@ -3,11 +3,38 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
+const os = require('os');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const express = require('express');
-const axios = require('axios');
-const WebSocket = require('ws');
+const configLoader = require('./lib/config');
+const { createAuth, SCOPES } = require('./lib/auth');
+const { createBackendClient, describeError } = require('./lib/backend');
+const wg = require('./lib/wireguard');
+const ipam = require('./lib/ipam');
+const provision = require('./lib/provision');
+const { createUsageTracker } = require('./lib/usage');
+const { createExpiryScheduler, parseExpiresAt } = require('./lib/expiry');
+const reconcile = require('./lib/reconcile');
+const { createCommandDispatcher } = require('./lib/commands');
+const { createCommandSocket } = require('./lib/wsclient');
+const { createCommandPoller } = require('./lib/poller');
+const { createOutbox } = require('./lib/outbox');
+const { createRegistry } = require('./lib/metrics');
+const { createSystemCollector } = require('./lib/sysmetrics');
+const { createPeerStore, validateUserId, validateLabels } = require('./lib/peerstore');
+const wgconfig = require('./lib/wgconfig');
+const batch = require('./lib/batch');
+const health = require('./lib/health');
+const { createWatchdog } = require('./lib/watchdog');
+const { createSessionTracker } = require('./lib/sessions');
+const { createEventStream } = require('./lib/events');
+const { createAuditLog } = require('./lib/audit');
+const { createTlsManager } = require('./lib/tls');
+const { hasStoredCredentials, createEnrollment } = require('./lib/enrollment');
+const { createFirewall } = require('./lib/firewall');
+const { version: agentVersion } = require('./package.json');
+const { AgentError, ValidationError, ConflictError, toErrorResult } = require('./lib/errors');
 
 const execAsync = promisify(exec);
 
@@ -15,24 +42,177 @@ const execAsync = promisify(exec);
 const isWindows = process.platform === 'win32';
 const isLinux = process.platform === 'linux';
 
-// Configuration
-const config = {
-  backendUrl: process.env.BACKEND_URL || 'http://localhost:5000',
-  serverId: process.env.SERVER_ID || '',
-  heartbeatInterval: 30000, // 30 seconds
-  apiKey: process.env.API_KEY || '', // Optional API key for authentication
-  wsUrl: process.env.WS_URL || null, // Optional WebSocket URL for real-time commands
-  agentPort: parseInt(process.env.AGENT_PORT || '3001', 10) // Agent HTTP server port
-};
+// Configuration: defaults < config file < environment (see lib/config.js)
+const configSource = configLoader.resolveConfigFile();
+const loadedConfig = configLoader.loadConfig({ file: configSource.file });
+const configErrors = loadedConfig.errors.slice();
+
+// Shared with every module; a reload (SIGHUP) updates it in place
+const config = loadedConfig.config;
+
+// Certificates for the agent API and the backend connection
+const tlsFiles = createTlsManager({ config });
+if (!configErrors.length) {
+  try {
+    tlsFiles.load();
+  } catch (error) {
+    configErrors.push(error.message);
+  }
+}
+
+// The agent identifies itself with SERVER_ID or with the credentials it enrolled for
+if (!configErrors.length && !config.serverId && !config.enrollToken && !hasStoredCredentials(config)) {
+  configErrors.push('SERVER_ID is required (or ENROLL_TOKEN to let the agent enroll itself)');
+}
+
+// --check-config: validate the configuration (and certificate files) and exit
+if (process.argv.includes('--check-config')) {
+  if (configErrors.length) {
+    configErrors.forEach(error => console.error(`❌ Error: ${error}`));
+    process.exit(1);
+  }
+  console.log(`✅ Configuration is valid (config file: ${loadedConfig.file || 'none'})`);
+  console.log(JSON.stringify(configLoader.describeConfig(config), null, 2));
+  process.exit(0);
+}
+
+if (configErrors.length) {
+  configErrors.forEach(error => console.error(`❌ Error: ${error}`));
+  process.exit(1);
+}
 
 // Create Express app
 const app = express();
-app.use(express.json());
+app.use(express.json({
+  limit: '2mb', // Peer batches can carry many operations
+  // Keep the raw body around for HMAC signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 
-// Validate configuration
-if (!config.serverId) {
-  console.error('❌ Error: SERVER_ID environment variable is required');
-  process.exit(1);
+// Callers presenting an untrusted client certificate are turned away (AGENT_TLS_CLIENT_AUTH=optional)
+app.use(tlsFiles.verifyClient);
+
+// Every endpoint requires authentication
+const auth = createAuth(config);
+app.use(auth.authenticate);
+
+// Client for calls to the backend API
+const backend = createBackendClient(config, { tls: tlsFiles });
+
+// Heartbeats, command results and events survive backend outages in the outbox
+const outbox = createOutbox({ config, backend });
+
+// Prometheus metrics (GET /metrics); WireGuard and transport gauges are collected per scrape
+const metrics = createRegistry();
+const heartbeatsTotal = metrics.counter('vexira_agent_heartbeats_total', 'Heartbeats by result (sent, queued, failed)');
+const heartbeatDuration = metrics.histogram('vexira_agent_heartbeat_duration_seconds', 'Time to collect and deliver a heartbeat');
+const lastHeartbeat = metrics.gauge('vexira_agent_last_heartbeat_timestamp_seconds', 'Unix time of the last heartbeat the backend accepted');
+
+// Every reported event, for local consumers (GET /events)
+const eventStream = createEventStream({ config });
+
+// Report something that happened on this node to the backend (POST /agent/events).
+// realtime events go over the command WebSocket while it is connected.
+function emitEvent(type, data = {}, options = {}) {
+  const event = { serverId: config.serverId, type, at: new Date().toISOString(), ...data };
+  eventStream.publish(event);
+  if (options.realtime && commandSocket.publish({ type: 'event', event })) {
+    return;
+  }
+  outbox.deliver('event', '/agent/events', event).catch(error => {
+    console.error(`❌ Backend rejected ${type} event: ${describeError(error, config)}`);
+  });
+}
+
+// Record of every mutating action, forwarded to the backend through the outbox
+const auditLog = createAuditLog({
+  config,
+  forward: (entry) => {
+    if (config.auditForward) {
+      outbox.deliver('audit', '/agent/audit', { serverId: config.serverId, ...entry }).catch(error => {
+        console.error(`❌ Backend rejected audit entry ${entry.action}: ${describeError(error, config)}`);
+      });
+    }
+  }
+});
+
+// Who asked for a change: an HTTP caller, a backend command or the agent itself
+function httpOrigin(req) {
+  const certificate = tlsFiles.clientCertificate(req);
+  return {
+    source: 'http',
+    caller: req.auth ? req.auth.keyId : null,
+    address: req.ip,
+    ...(certificate ? { certificate: certificate.subject } : {})
+  };
+}
+
+function commandOrigin(context = {}) {
+  return { source: context.transport || 'unknown', caller: 'backend', commandId: context.id || null };
+}
+
+function agentOrigin(actor) {
+  return { source: 'agent', caller: actor };
+}
+
+// A peer as the audit log records it (keys left out)
+function auditPeerState(publicKey) {
+  const found = peerStore.find(publicKey);
+  if (!found) {
+    return null;
+  }
+  const { peer } = found;
+  return {
+    interface: found.interface,
+    allowedIPs: peer.allowedIPs,
+    presharedKey: Boolean(peer.presharedKey),
+    persistentKeepalive: peer.persistentKeepalive,
+    endpoint: peer.endpoint,
+    userId: peer.userId,
+    labels: peer.labels,
+    enabled: !peer.disabled,
+    disabledReason: peer.disabled ? peer.disabled.reason : null
+  };
+}
+
+// Run a mutating action and record it with the state of its peers before and after.
+// The action's result (or error) is passed through unchanged.
+async function audited(origin, action, params, publicKeys, run) {
+  const keys = Array.from(new Set(publicKeys.filter(key => typeof key === 'string' && key)));
+  const before = new Map(keys.map(key => [key, auditPeerState(key)]));
+  const startedAt = Date.now();
+  let result;
+  let failure = null;
+  try {
+    result = await run();
+  } catch (error) {
+    failure = error;
+  }
+
+  const outcome = failure ? toErrorResult(failure) : (result || {});
+  // Peers created by the action (provisioning generates the key)
+  if (outcome.publicKey && typeof outcome.publicKey === 'string' && !before.has(outcome.publicKey)) {
+    keys.push(outcome.publicKey);
+  }
+  await auditLog.record({
+    ...origin,
+    action,
+    params: params || {},
+    peers: keys.map(key => ({ publicKey: key, before: before.get(key) || null, after: auditPeerState(key) })),
+    outcome: {
+      success: outcome.success !== false,
+      code: outcome.success === false ? outcome.code || null : null,
+      error: outcome.success === false ? outcome.error || outcome.message || null : null,
+      durationMs: Date.now() - startedAt
+    }
+  });
+
+  if (failure) {
+    throw failure;
+  }
+  return result;
 }
 
 // Check WireGuard installation on Linux
@@ -53,72 +233,66 @@ async function checkWireGuardInstallation() {
   }
 }
 
-// Get WireGuard status (detailed)
-async function getWireGuardStatus() {
+// Get the WireGuard interfaces this agent manages.
+// Configured interfaces win; otherwise discover them, falling back to wg0.
+async function getInterfaces() {
+  if (config.wgInterfaces.length > 0) {
+    return config.wgInterfaces;
+  }
+  
   try {
-    // Check if WireGuard is running by counting active peers
-    const { stdout } = await execAsync('wg show wg0');
-    const lines = stdout.trim().split('\n');
-    
-    // Parse output for detailed status
-    let port = null;
-    let peerCount = 0;
-    let lastHandshake = null;
-    let latestHandshakeTime = 0;
-    
-    for (const line of lines) {
-      const trimmed = line.trim();
-      
-      // Check for listening port
-      if (trimmed.startsWith('listening port:')) {
-        const portMatch = trimmed.match(/listening port:\s*(\d+)/);
-        if (portMatch) {
-          port = parseInt(portMatch[1], 10);
-        }
-      }
-      
-      // Check for peer (starts with "peer:")
-      if (trimmed.startsWith('peer:')) {
-        peerCount++;
-      }
-      
-      // Check for latest handshake
-      if (trimmed.startsWith('latest handshake:')) {
-        const handshakeMatch = trimmed.match(/latest handshake:\s*(.+)/);
-        if (handshakeMatch) {
-          const handshakeStr = handshakeMatch[1].trim();
-          // Keep the most recent handshake
-          if (!lastHandshake || handshakeStr.length > lastHandshake.length) {
-            lastHandshake = handshakeStr;
-          }
-        }
-      }
+    const discovered = await wg.listInterfaces();
+    if (discovered.length > 0) {
+      return discovered;
     }
+  } catch (error) {
+    // WireGuard not installed or not running
+  }
+  return ['wg0'];
+}
+
+// Resolve the interface a command targets. Defaults to the first managed interface;
+// an explicit name must be one of the managed interfaces.
+async function resolveInterface(name) {
+  const interfaces = await getInterfaces();
+  if (name === undefined || name === null || name === '') {
+    return interfaces[0];
+  }
+  
+  wg.validateInterfaceName(name);
+  if (!interfaces.includes(name)) {
+    throw new ValidationError(`Unknown interface "${name}". Managed interfaces: ${interfaces.join(', ')}`, 'UNKNOWN_INTERFACE');
+  }
+  return name;
+}
+
+// Get WireGuard status of one interface (detailed)
+async function getWireGuardStatus(ifaceName) {
+  try {
+    // Structured interface state from "wg show <iface> dump"
+    const iface = await wg.dump(ifaceName);
     
-    // Check if wg0 interface exists and is up
-    // WireGuard interfaces can show as UP, UNKNOWN, or have LOWER_UP flag
-    const { stdout: linkStatus } = await execAsync('ip link show wg0 2>/dev/null || echo ""');
-    const isRunning = linkStatus.includes('wg0') && (
-      linkStatus.includes('state UP') || 
-      linkStatus.includes('state UNKNOWN') || 
-      linkStatus.includes('LOWER_UP')
-    );
+    // Check if the interface exists and is up
+    const isRunning = await wg.isInterfaceUp(ifaceName);
     
     return {
       status: isRunning ? 'up' : 'down',
-      interface: 'wg0',
-      port: port,
-      peers: peerCount,
-      lastHandshake: lastHandshake,
-      running: isRunning,
-      raw: stdout
+      interface: ifaceName,
+      publicKey: iface.publicKey,
+      port: iface.listenPort,
+      fwmark: iface.fwmark,
+      peers: iface.peers.length,
+      lastHandshake: wg.latestHandshake(iface.peers), // epoch seconds
+      running: isRunning
     };
   } catch (error) {
     // WireGuard is not running or not installed
     return {
       status: 'down',
-      interface: 'wg0',
+      interface: ifaceName,
+      publicKey: null,
       port: null,
+      fwmark: null,
       peers: 0,
       lastHandshake: null,
       running: false,
@@ -127,581 +301,1962 @@ async function getWireGuardStatus() {
   }
 }
 
+// Get detailed status of every managed interface
+async function getAllWireGuardStatus() {
+  const interfaces = await getInterfaces();
+  return Promise.all(interfaces.map(getWireGuardStatus));
+}
+
 // Get WireGuard status (simple - for heartbeat)
 async function getWireGuardStatusSimple() {
+  const names = await getInterfaces();
+  let dumps = [];
   try {
-    const { stdout } = await execAsync('wg show');
-    const lines = stdout.trim().split('\n');
-    const peerCount = lines.filter(line => line.trim().startsWith('peer:')).length;
-    const { stdout: linkStatus } = await execAsync('ip link show wg0 2>/dev/null || echo ""');
-    // WireGuard interfaces can show as UP, UNKNOWN, or have LOWER_UP flag
-    const isRunning = linkStatus.includes('wg0') && (
-      linkStatus.includes('state UP') || 
-      linkStatus.includes('state UNKNOWN') || 
-      linkStatus.includes('LOWER_UP')
-    );
-    
+    dumps = await wg.dumpAll();
+  } catch (error) {
+    // WireGuard is not running or not installed
+  }
+  
+  const interfaces = await Promise.all(names.map(async (name) => {
+    const iface = dumps.find(item => item.name === name);
     return {
-      running: isRunning,
-      peerCount: peerCount,
-      raw: stdout
+      name: name,
+      running: iface ? await wg.isInterfaceUp(name) : false,
+      port: iface ? iface.listenPort : null,
+      peerCount: iface ? iface.peers.length : 0
     };
+  }));
+  
+  return {
+    running: interfaces.length > 0 && interfaces.every(iface => iface.running),
+    peerCount: interfaces.reduce((count, iface) => count + iface.peerCount, 0),
+    interfaces: interfaces
+  };
+}
+
+// CPU, memory, load, network and disk figures, sampled from /proc in the background
+const system = createSystemCollector({ config, getInterfaces });
+
+// What the agent tells the backend about itself when it enrolls
+async function enrollmentFacts() {
+  const wireguardInterfaces = await getAllWireGuardStatus();
+  const addresses = Object.entries(os.networkInterfaces())
+    .filter(([name]) => !wireguardInterfaces.some(iface => iface.interface === name))
+    .flatMap(([, entries]) => entries.filter(entry => !entry.internal).map(entry => entry.address));
+  return {
+    hostname: os.hostname(),
+    publicEndpoint: config.publicEndpoint || null,
+    addresses,
+    interfaces: wireguardInterfaces.map(iface => ({
+      name: iface.interface,
+      publicKey: iface.publicKey,
+      listenPort: iface.port,
+      running: iface.running
+    })),
+    capacity: {
+      maxPeers: config.serverCapacity,
+      cpus: os.cpus().length,
+      memoryBytes: os.totalmem()
+    },
+    agentVersion,
+    platform: process.platform
+  };
+}
+
+// Self-registration with ENROLL_TOKEN; the stored credentials replace SERVER_ID / API_KEY
+const enrollment = createEnrollment({
+  config,
+  backend,
+  facts: enrollmentFacts,
+  onRotate: () => restartCommandTransport(),
+  audit: (action, run) => audited(agentOrigin('enrollment'), action, {}, [], run)
+});
+
+// Rotate the enrolled credential now; resolves a result object
+async function rotateCredentials() {
+  try {
+    return { success: true, ...await enrollment.rotate() };
   } catch (error) {
+    return toErrorResult(error);
+  }
+}
+
+// Composite health: built-in checks weighted by HEALTH_WEIGHTS
+const agentStartedAt = Date.now();
+const healthEvaluator = health.createHealthEvaluator({ config });
+const healthChecks = health.createBuiltinChecks({
+  config,
+  getInterfaces,
+  systemSummary: () => {
+    const latest = system.latest();
     return {
-      running: false,
-      peerCount: 0,
-      raw: ''
+      cpuUsage: latest ? latest.cpu.usagePercent : null,
+      ramUsage: latest ? latest.memory.usedPercent : null
     };
-  }
+  },
+  outboxStats: () => outbox.stats(),
+  startedAt: agentStartedAt
+});
+for (const [name, check] of Object.entries(healthChecks)) {
+  healthEvaluator.register(name, check);
 }
 
-// Get system load
-async function getSystemLoad() {
-  // Windows doesn't have /proc/loadavg, return 0 silently
-  if (isWindows) {
-    return 0;
-  }
-  
+// Send heartbeat to backend
+async function sendHeartbeat() {
+  const startedAt = process.hrtime.bigint();
+  const observe = (result) => {
+    heartbeatsTotal.inc({ result });
+    heartbeatDuration.observe({}, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  };
   try {
-    // Get CPU load (1-minute average)
-    const { stdout: loadavg } = await execAsync('cat /proc/loadavg');
-    const loadValues = loadavg.trim().split(/\s+/);
-    const load1Min = parseFloat(loadValues[0]) || 0;
+    const wgStatus = await getWireGuardStatusSimple();
+    const { cpuUsage, ramUsage, systemLoad } = system.summary();
+    
+    // Use system load as the main load metric (0-100)
+    const load = systemLoad;
+    
+    let healthSummary = null;
+    try {
+      const result = await healthEvaluator.evaluate();
+      healthSummary = {
+        status: result.status,
+        score: result.score,
+        reason: result.reason,
+        checks: Object.fromEntries(Object.entries(result.checks).map(([name, check]) => [name, check.status]))
+      };
+    } catch (error) {
+      console.error(`⚠️  Could not evaluate health: ${error.message}`);
+    }
+    
+    let usageSummary = null;
+    try {
+      usageSummary = await usage.heartbeatSummary();
+    } catch (error) {
+      console.error(`⚠️  Could not read usage data: ${error.message}`);
+    }
+    
+    let sessionCounts = null;
+    try {
+      sessionCounts = await sessions.counts();
+    } catch (error) {
+      console.error(`⚠️  Could not read peer sessions: ${error.message}`);
+    }
+    
+    const payload = {
+      serverId: config.serverId,
+      sentAt: new Date().toISOString(),
+      wgRunning: wgStatus.running,
+      load: load,
+      activePeers: wgStatus.peerCount,
+      interfaces: wgStatus.interfaces,
+      health: healthSummary,
+      usage: usageSummary,
+      sessions: sessionCounts,
+      metrics: {
+        cpuUsage: cpuUsage,
+        ramUsage: ramUsage,
+        systemLoad: systemLoad
+      },
+      system: system.latest()
+    };
     
-    // Convert to percentage (assuming single core, adjust based on CPU count)
-    const { stdout: cpuCount } = await execAsync('nproc');
-    const cpuCores = parseInt(cpuCount.trim()) || 1;
-    const loadPercentage = Math.min((load1Min / cpuCores) * 100, 100);
+    const result = await outbox.deliver('heartbeat', '/agent/heartbeat', payload);
     
-    return loadPercentage;
+    observe(result.sent ? 'sent' : 'queued');
+    if (!result.sent) {
+      const reason = result.error ? describeError(result.error, config) : 'older messages are still queued';
+      console.error(`❌ Heartbeat not delivered (${reason}); ${result.queued ? 'queued' : 'skipped'}, ${outbox.stats().pending} message(s) in outbox`);
+      return null;
+    }
+    
+    const data = result.data;
+    lastHeartbeat.set({}, Math.floor(Date.now() / 1000));
+    if (data.success) {
+      console.log(`✅ Heartbeat sent: WG=${wgStatus.running ? 'RUNNING' : 'STOPPED'}, Load=${load.toFixed(1)}%, Peers=${wgStatus.peerCount}`);
+    }
+    
+    return data;
   } catch (error) {
-    // Silently return 0 on error (don't log on Windows)
-    return 0;
+    observe('failed');
+    console.error(`❌ Heartbeat failed: ${describeError(error, config)}`);
+    return null;
   }
 }
 
-// Get CPU usage percentage
-async function getCPUUsage() {
-  // Windows doesn't have these commands, return 0 silently
-  if (isWindows) {
-    return 0;
+// Serializes address allocation and peer changes per interface
+const withInterfaceLock = ipam.createLock();
+
+// The agent's own peer records and the config files rendered from them
+const peerStore = createPeerStore({ config });
+const wgConfig = wgconfig.createConfigManager({ config });
+
+// Whether peer changes on the interface go through its rendered config file
+async function isConfigManaged(iface) {
+  return config.wgConfigMode === 'agent' && !isWindows && await wgConfig.isManaged(iface);
+}
+
+// Change an interface's peers: mutate() updates the peer store, then the change is
+// applied by re-rendering the config file (agent mode) or by liveApply() with
+// "wg set" + "wg-quick save". The store is saved only once the interface took the change.
+// An interface that was never imported is imported first: a config rendered from an
+// empty store would drop every existing peer. Callers hold the interface lock.
+async function changePeers(iface, reason, mutate, liveApply) {
+  if (!peerStore.hasInterface(iface)) {
+    try {
+      await importInterface(iface);
+    } catch (error) {
+      throw new AgentError(`Peers of ${iface} could not be imported, refusing to change them: ${error.message}`, { code: 'PEER_IMPORT_FAILED', statusCode: 503 });
+    }
   }
-  
+  const saved = peerStore.snapshot(iface);
   try {
-    // Method 1: Using top command (more accurate)
-    const { stdout } = await execAsync("top -bn1 | grep 'Cpu(s)' | sed 's/.*, *\\([0-9.]*\\)%* id.*/\\1/' | awk '{print 100 - $1}'");
-    const cpuUsage = parseFloat(stdout.trim());
-    if (!isNaN(cpuUsage) && cpuUsage >= 0 && cpuUsage <= 100) {
-      return cpuUsage;
+    const result = mutate();
+    if (await isConfigManaged(iface)) {
+      await wgConfig.commit(iface, peerStore.active(iface), reason);
+    } else {
+      await liveApply();
+      try {
+        await wg.saveConfig(iface);
+      } catch (e) {
+        // wg-quick save might not be available, that's okay
+        console.log('Note: Could not save WireGuard config automatically');
+      }
     }
+    await peerStore.save();
+    return result;
   } catch (error) {
-    // Fallback method
+    peerStore.restore(iface, saved);
+    throw error;
+  }
+}
+
+// Seed the peer store with an interface it does not know yet (first start, new interface):
+// peers from the config file plus whatever is live on the interface. Callers hold the interface lock.
+async function importInterface(iface) {
+  await peerStore.load();
+  const fromFile = await wgConfig.isManaged(iface)
+    ? wgconfig.parseConfig(await wgConfig.read(iface)).peers
+    : [];
+  const state = await wg.dump(iface);
+  const presharedKeys = state.peers.some(peer => peer.hasPresharedKey) ? await wg.presharedKeys(iface) : {};
+  const live = state.peers.map(peer => ({
+    publicKey: peer.publicKey,
+    allowedIPs: peer.allowedIPs,
+    presharedKey: presharedKeys[peer.publicKey] || null,
+    persistentKeepalive: peer.persistentKeepalive,
+    endpoint: null
+  }));
+  const liveKeys = new Set(live.map(peer => peer.publicKey));
+  const peers = [...live, ...fromFile.filter(peer => !liveKeys.has(peer.publicKey))];
+  peerStore.replace(iface, peers.map(peer => {
+    const filed = fromFile.find(item => item.publicKey === peer.publicKey);
+    return filed ? { ...peer, endpoint: filed.endpoint, userId: filed.userId } : peer;
+  }));
+  await peerStore.save();
+  console.log(`📒 Imported ${peers.length} peer(s) of ${iface} into the peer store`);
+}
+
+// Import every interface the store does not know yet; a failed interface is imported
+// again before its first peer change
+async function importPeers() {
+  await peerStore.load();
+  for (const iface of await getInterfaces()) {
+    try {
+      await withInterfaceLock(iface, async () => {
+        if (!peerStore.hasInterface(iface)) {
+          await importInterface(iface);
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Could not import peers of ${iface}: ${error.message}`);
+    }
+  }
+}
+
+// Address pools and excluded ranges (server addresses + reserved) for an interface.
+// Without a configured pool, the subnets of the interface's own addresses are used.
+async function getAddressPlan(iface) {
+  const serverAddresses = await wg.interfaceAddresses(iface);
+  const configured = ipam.parsePools(config.addressPools)[iface];
+  const pools = configured || serverAddresses.map(ipam.parseCIDR);
+  const reserved = ipam.parseReserved(config.reservedAddresses)[iface] || [];
+  const excluded = [
+    ...serverAddresses.map(address => ipam.parseCIDR(address.split('/')[0])),
+    ...reserved
+  ];
+  return { pools, excluded, serverAddresses };
+}
+
+// Pick allowed IPs for a peer: validate and conflict-check explicit ones,
+// reuse the current ones if the peer already exists, otherwise allocate from the pool.
+async function assignAllowedIPs(iface, publicKey, allowedIPs) {
+  const state = await wg.dump(iface);
+  
+  // Addresses of peers that are off the interface (quota-suspended or disabled) stay reserved for them
+  const offline = [...await usage.suspendedPeers(iface), ...peerStore.list(iface).filter(peer => peer.disabled)];
+  const peers = [...state.peers, ...offline];
+  
+  if (allowedIPs) {
+    const cidrs = wg.validateAllowedIPs(allowedIPs);
+    const conflicts = ipam.findConflicts(cidrs, peers, publicKey);
+    if (conflicts.length > 0) {
+      const first = conflicts[0];
+      throw new ConflictError(
+        `Allowed IP ${first.requested} conflicts with ${first.allowedIP} of ${first.publicKey ? `peer ${first.publicKey.substring(0, 16)}...` : 'a disabled peer'}`,
+        'ADDRESS_CONFLICT'
+      );
+    }
+    return { allowedIPs: cidrs, allocated: false };
+  }
+  
+  const existing = peers.find(peer => peer.publicKey === publicKey && peer.allowedIPs.length > 0);
+  if (existing) {
+    return { allowedIPs: existing.allowedIPs, allocated: false };
   }
   
-  // Method 2: Using /proc/stat (fallback)
+  const plan = await getAddressPlan(iface);
+  const used = peers.flatMap(peer => peer.allowedIPs);
+  return { allowedIPs: ipam.allocate({ pools: plan.pools, used, excluded: plan.excluded }), allocated: true };
+}
+
+// Add WireGuard peer. Without allowedIPs an address is allocated from the interface's pool.
+// options.expiresAt schedules automatic removal (null clears an existing schedule),
+// options.reason tags the peer_added event.
+async function addPeer(publicKey, allowedIPs, options = {}) {
   try {
-    const { stdout: stat1 } = await execAsync("cat /proc/stat | head -1");
-    await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-    const { stdout: stat2 } = await execAsync("cat /proc/stat | head -1");
+    wg.validatePublicKey(publicKey);
+    const expiresAt = options.expiresAt ? parseExpiresAt(options.expiresAt) : options.expiresAt;
+    if (options.presharedKey) {
+      wg.validateKey(options.presharedKey, 'presharedKey');
+    }
+    const userId = options.userId !== undefined ? validateUserId(options.userId) : undefined;
+    const labels = options.labels !== undefined ? validateLabels(options.labels) : undefined;
+    const iface = await resolveInterface(options.interface);
     
-    const parseStat = (line) => {
-      const parts = line.split(/\s+/);
+    return await withInterfaceLock(iface, async () => {
+      const assignment = await assignAllowedIPs(iface, publicKey, allowedIPs);
+      
+      // Without a new preshared key the current one stays
+      await changePeers(iface, `add ${publicKey}`, () => peerStore.upsert(iface, publicKey, {
+        allowedIPs: assignment.allowedIPs,
+        presharedKey: options.presharedKey || undefined,
+        userId,
+        labels,
+        disabled: null
+      }), () => wg.setPeer(iface, publicKey, {
+        allowedIPs: assignment.allowedIPs,
+        presharedKey: options.presharedKey || null
+      }));
+      
+      // An explicit add overrides a quota suspension; the quota is re-checked on the next sample
+      await usage.clearDisabled(publicKey);
+      
+      // Adding a peer again re-activates it after an expiry
+      await expirySchedule.forgetExpired(publicKey);
+      
+      let expiry = await expirySchedule.get(publicKey);
+      if (expiresAt) {
+        expiry = await expirySchedule.set(publicKey, iface, expiresAt);
+      } else if (expiresAt === null) {
+        await expirySchedule.clear(publicKey);
+        expiry = null;
+      }
+      
+      console.log(`✅ Peer added on ${iface}: ${publicKey.substring(0, 16)}... (${assignment.allowedIPs.join(', ')})`);
+      emitEvent('peer_added', { interface: iface, publicKey, allowedIPs: assignment.allowedIPs, reason: options.reason || null });
       return {
-        user: parseInt(parts[1]) || 0,
-        nice: parseInt(parts[2]) || 0,
-        system: parseInt(parts[3]) || 0,
-        idle: parseInt(parts[4]) || 0,
-        iowait: parseInt(parts[5]) || 0,
-        irq: parseInt(parts[6]) || 0,
-        softirq: parseInt(parts[7]) || 0
+        success: true,
+        interface: iface,
+        allowedIPs: assignment.allowedIPs,
+        allocated: assignment.allocated,
+        expiresAt: expiry ? expiry.expiresAt : null,
+        userId: peerStore.get(iface, publicKey).userId,
+        labels: peerStore.get(iface, publicKey).labels
       };
-    };
-    
-    const cpu1 = parseStat(stat1);
-    const cpu2 = parseStat(stat2);
-    
-    const total1 = cpu1.user + cpu1.nice + cpu1.system + cpu1.idle + cpu1.iowait + cpu1.irq + cpu1.softirq;
-    const total2 = cpu2.user + cpu2.nice + cpu2.system + cpu2.idle + cpu2.iowait + cpu2.irq + cpu2.softirq;
-    
-    const idle1 = cpu1.idle;
-    const idle2 = cpu2.idle;
+    });
+  } catch (error) {
+    console.error(`❌ Failed to add peer: ${error.message}`);
+    return toErrorResult(error);
+  }
+}
+
+// Remove WireGuard peer; its addresses go back to the pool.
+// options.reason tags the peer_removed event (expired, reconcile, ...).
+async function removePeer(publicKey, options = {}) {
+  try {
+    wg.validatePublicKey(publicKey);
+    const iface = await resolveInterface(options.interface);
     
-    const totalIdle = idle2 - idle1;
-    const totalDiff = total2 - total1;
+    return await withInterfaceLock(iface, async () => {
+      const state = await wg.dump(iface);
+      const existing = state.peers.find(peer => peer.publicKey === publicKey) || peerStore.get(iface, publicKey);
+      
+      await changePeers(iface, `remove ${publicKey}`, () => peerStore.remove(iface, publicKey), () => wg.removePeer(iface, publicKey));
+      
+      await usage.clearDisabled(publicKey);
+      await expirySchedule.clear(publicKey);
+      
+      console.log(`✅ Peer removed from ${iface}: ${publicKey.substring(0, 16)}...`);
+      emitEvent('peer_removed', { interface: iface, publicKey, releasedIPs: existing ? existing.allowedIPs : [], reason: options.reason || null });
+      return { success: true, interface: iface, releasedIPs: existing ? existing.allowedIPs : [] };
+    });
+  } catch (error) {
+    console.error(`❌ Failed to remove peer: ${error.message}`);
+    return toErrorResult(error);
+  }
+}
+
+// Interface a peer belongs to: the peer store first, then the live interfaces
+async function locatePeer(publicKey) {
+  const stored = peerStore.find(publicKey);
+  if (stored) {
+    return stored.interface;
+  }
+  for (const iface of await getInterfaces()) {
+    const state = await wg.dump(iface);
+    if (state.peers.some(peer => peer.publicKey === publicKey)) {
+      return iface;
+    }
+  }
+  throw new AgentError(`Peer ${publicKey.substring(0, 16)}... not found`, { code: 'PEER_NOT_FOUND', statusCode: 404 });
+}
+
+// Validate the fields of a peer update; fields that are not given stay undefined (unchanged)
+function normalizePeerChanges(changes) {
+  const fields = {};
+  if (changes.allowedIPs !== undefined) {
+    fields.allowedIPs = wg.validateAllowedIPs(changes.allowedIPs);
+  }
+  if (changes.presharedKey !== undefined) {
+    fields.presharedKey = changes.presharedKey ? wg.validateKey(changes.presharedKey, 'presharedKey') : null;
+  }
+  if (changes.persistentKeepalive !== undefined) {
+    fields.persistentKeepalive = changes.persistentKeepalive ? wg.validateKeepalive(changes.persistentKeepalive) : null;
+  }
+  if (changes.endpoint !== undefined) {
+    fields.endpoint = changes.endpoint ? wg.validateEndpoint(changes.endpoint) : null;
+  }
+  if (changes.userId !== undefined) {
+    fields.userId = validateUserId(changes.userId);
+  }
+  if (changes.labels !== undefined) {
+    fields.labels = validateLabels(changes.labels);
+  }
+  if (changes.enabled !== undefined) {
+    if (typeof changes.enabled !== 'boolean') {
+      throw new ValidationError('enabled must be true or false', 'INVALID_ENABLED');
+    }
+    fields.enabled = changes.enabled;
+  }
+  if (Object.keys(fields).length === 0) {
+    throw new ValidationError('Nothing to update', 'NO_CHANGES');
+  }
+  return fields;
+}
+
+// Shape a peer store entry for API responses (keys are never returned)
+function formatStoredPeer(iface, entry) {
+  return {
+    interface: iface,
+    publicKey: entry.publicKey,
+    allowedIPs: entry.allowedIPs,
+    hasPresharedKey: Boolean(entry.presharedKey),
+    persistentKeepalive: entry.persistentKeepalive,
+    endpoint: entry.endpoint,
+    userId: entry.userId,
+    labels: entry.labels,
+    enabled: !entry.disabled,
+    disabled: entry.disabled
+  };
+}
+
+// Change a peer in place ("wg set" keeps its session): allowedIPs, presharedKey (null removes it),
+// persistentKeepalive (0/null turns it off), endpoint, userId, labels. enabled: false takes the
+// peer off the interface but keeps its configuration; enabled: true puts it back.
+async function updatePeer(publicKey, changes = {}, options = {}) {
+  try {
+    wg.validatePublicKey(publicKey);
+    const fields = normalizePeerChanges(changes);
+    const iface = options.interface ? await resolveInterface(options.interface) : await locatePeer(publicKey);
     
-    if (totalDiff > 0) {
-      const cpuUsage = 100 - (totalIdle / totalDiff) * 100;
-      return Math.max(0, Math.min(100, cpuUsage));
+    return await withInterfaceLock(iface, async () => {
+      const state = await wg.dump(iface);
+      const live = state.peers.find(peer => peer.publicKey === publicKey) || null;
+      if (!live && !peerStore.get(iface, publicKey)) {
+        throw new AgentError(`Peer ${publicKey.substring(0, 16)}... not found on ${iface}`, { code: 'PEER_NOT_FOUND', statusCode: 404 });
+      }
+      if (fields.allowedIPs) {
+        await assignAllowedIPs(iface, publicKey, fields.allowedIPs);
+      }
+      
+      // A live peer the store has not seen yet (added outside the agent) is recorded first
+      const presharedKeys = live && live.hasPresharedKey && !peerStore.get(iface, publicKey) ? await wg.presharedKeys(iface) : {};
+      const seed = live && !peerStore.get(iface, publicKey)
+        ? { allowedIPs: live.allowedIPs, presharedKey: presharedKeys[publicKey] || null, persistentKeepalive: live.persistentKeepalive }
+        : {};
+      
+      const before = peerStore.get(iface, publicKey);
+      const wasEnabled = before ? !before.disabled : true;
+      const enabled = fields.enabled === undefined ? wasEnabled : fields.enabled;
+      const settings = { ...fields };
+      delete settings.enabled;
+      
+      // Left undefined the state stays as it is; disabling by hand also takes over a quota suspension
+      let disabled;
+      if (fields.enabled === true) {
+        disabled = null;
+      } else if (fields.enabled === false) {
+        disabled = { reason: 'manual', since: wasEnabled ? new Date().toISOString() : before.disabled.since };
+      }
+      
+      const entry = await changePeers(iface, `update ${publicKey}`, () => peerStore.upsert(iface, publicKey, {
+        ...seed,
+        ...settings,
+        disabled
+      }), async () => {
+        if (!enabled) {
+          if (live) {
+            await wg.removePeer(iface, publicKey);
+          }
+          return;
+        }
+        const current = peerStore.get(iface, publicKey);
+        if (!live) {
+          // Back on the interface with everything it had
+          await wg.updatePeer(iface, publicKey, {
+            allowedIPs: current.allowedIPs,
+            presharedKey: current.presharedKey || undefined,
+            persistentKeepalive: current.persistentKeepalive || undefined,
+            endpoint: current.endpoint || undefined
+          });
+          return;
+        }
+        const { allowedIPs, presharedKey, persistentKeepalive, endpoint } = settings;
+        if ([allowedIPs, presharedKey, persistentKeepalive, endpoint].some(value => value !== undefined)) {
+          await wg.updatePeer(iface, publicKey, { allowedIPs, presharedKey, persistentKeepalive, endpoint });
+        }
+      });
+      
+      if (enabled && !wasEnabled) {
+        // Turning a peer on overrides a quota suspension; the quota is re-checked on the next sample
+        await usage.clearDisabled(publicKey);
+        emitEvent('peer_resumed', { interface: iface, publicKey, reason: 'manual' });
+      } else if (!enabled && wasEnabled) {
+        emitEvent('peer_suspended', { interface: iface, publicKey, reason: 'manual' });
+      }
+      if (Object.keys(settings).length > 0) {
+        emitEvent('peer_updated', { interface: iface, publicKey, allowedIPs: entry.allowedIPs, changed: Object.keys(settings), reason: options.reason || null });
+      }
+      
+      console.log(`✅ Peer updated on ${iface}: ${publicKey.substring(0, 16)}... (${[...Object.keys(settings), ...(enabled !== wasEnabled ? [enabled ? 'enabled' : 'disabled'] : [])].join(', ')})`);
+      return { success: true, ...formatStoredPeer(iface, entry) };
+    });
+  } catch (error) {
+    console.error(`❌ Failed to update peer: ${error.message}`);
+    return toErrorResult(error);
+  }
+}
+
+// Apply planned batch operations to the running interface with one "wg syncconf";
+// the previous state is put back if that fails
+async function syncLiveBatch(iface, planned) {
+  const before = await wg.showConfig(iface);
+  const { interfaceSection, peers } = wgconfig.parseConfig(before);
+  try {
+    await wg.syncConfig(iface, wgconfig.renderConfig(interfaceSection, batch.applyToPeers(peers, planned)));
+  } catch (error) {
+    await wg.syncConfig(iface, before).catch(() => {});
+    throw error;
+  }
+}
+
+// Public keys a batch request touches (for the audit log)
+function batchPeerKeys(options = {}) {
+  return Array.isArray(options.operations) ? options.operations.map(item => item && item.publicKey) : [];
+}
+
+// Apply many add/update/remove operations to one interface as a single change.
+// Every operation is validated and planned first; if any of them fails nothing is
+// applied. The report has one entry per operation (status applied, failed or not_applied).
+async function applyPeerBatch(options = {}) {
+  let results = [];
+  try {
+    const iface = await resolveInterface(options.interface);
+    const normalized = batch.normalizeBatch(options.operations, config.peerBatchMaxSize);
+    results = normalized.results;
+    const invalid = results.filter(result => result.status === 'failed').length;
+    if (invalid > 0) {
+      throw new ValidationError(`${invalid} of ${results.length} operation(s) are invalid`, 'BATCH_INVALID');
     }
-  } catch (e) {
-    // If all methods fail, return 0
+    
+    return await withInterfaceLock(iface, async () => {
+      // Live peers plus the ones kept off the interface (disabled, quota-suspended)
+      const state = await wg.dump(iface);
+      const known = new Map(state.peers.map(peer => [peer.publicKey, peer]));
+      for (const entry of [...peerStore.list(iface), ...await usage.suspendedPeers(iface)]) {
+        if (!known.has(entry.publicKey)) {
+          known.set(entry.publicKey, entry);
+        }
+      }
+      
+      const { planned, errors } = await batch.planBatch(normalized.operations, {
+        peers: Array.from(known.values()),
+        plan: () => getAddressPlan(iface)
+      });
+      if (errors.size > 0) {
+        results = results.map(result => (errors.has(result.index)
+          ? batch.failure(result.index, options.operations[result.index], errors.get(result.index))
+          : result));
+        throw new ConflictError(`${errors.size} of ${results.length} operation(s) cannot be applied`, 'BATCH_REJECTED');
+      }
+      
+      await changePeers(iface, `batch of ${planned.length} operation(s)`, () => {
+        for (const operation of planned) {
+          if (operation.op === 'remove') {
+            peerStore.remove(iface, operation.publicKey);
+          } else {
+            peerStore.upsert(iface, operation.publicKey, {
+              allowedIPs: operation.allowedIPs,
+              presharedKey: operation.presharedKey,
+              userId: operation.userId,
+              labels: operation.labels,
+              ...(operation.op === 'add' ? { disabled: null } : {})
+            });
+          }
+        }
+      }, () => syncLiveBatch(iface, planned));
+      
+      // Bookkeeping that follows each operation, as for single adds and removes
+      for (const operation of planned) {
+        if (operation.op === 'remove') {
+          await usage.clearDisabled(operation.publicKey);
+          await expirySchedule.clear(operation.publicKey);
+          emitEvent('peer_removed', { interface: iface, publicKey: operation.publicKey, releasedIPs: operation.allowedIPs, reason: 'batch' });
+          continue;
+        }
+        if (operation.op === 'add') {
+          await usage.clearDisabled(operation.publicKey);
+          await expirySchedule.forgetExpired(operation.publicKey);
+        }
+        if (operation.expiresAt) {
+          await expirySchedule.set(operation.publicKey, iface, operation.expiresAt);
+        } else if (operation.expiresAt === null) {
+          await expirySchedule.clear(operation.publicKey);
+        }
+        emitEvent(operation.op === 'add' ? 'peer_added' : 'peer_updated', {
+          interface: iface,
+          publicKey: operation.publicKey,
+          allowedIPs: operation.allowedIPs,
+          reason: 'batch'
+        });
+      }
+      
+      console.log(`✅ Peer batch applied on ${iface}: ${planned.length} operation(s)`);
+      return {
+        success: true,
+        interface: iface,
+        applied: planned.length,
+        results: planned.map(operation => ({
+          index: operation.index,
+          op: operation.op,
+          publicKey: operation.publicKey,
+          status: 'applied',
+          ...(operation.op === 'remove'
+            ? { releasedIPs: operation.allowedIPs }
+            : { allowedIPs: operation.allowedIPs, allocated: operation.allocated })
+        }))
+      };
+    });
+  } catch (error) {
+    console.error(`❌ Peer batch failed: ${error.message}`);
+    return {
+      ...toErrorResult(error),
+      applied: 0,
+      results: results.map(result => (result.status === 'failed' ? result : { ...result, status: 'not_applied' }))
+    };
+  }
+}
+
+// Take a peer off the interface but return everything needed to restore it exactly
+async function suspendPeer(iface, publicKey) {
+  return withInterfaceLock(iface, async () => {
+    const state = await wg.dump(iface);
+    const peer = state.peers.find(item => item.publicKey === publicKey);
+    if (!peer) {
+      return null;
+    }
+    const presharedKeys = peer.hasPresharedKey ? await wg.presharedKeys(iface) : {};
+    
+    // The peer stays in the store, disabled, so it is left out of the config file
+    await changePeers(iface, `suspend ${publicKey} (quota)`, () => peerStore.upsert(iface, publicKey, {
+      allowedIPs: peer.allowedIPs,
+      presharedKey: presharedKeys[publicKey] || null,
+      persistentKeepalive: peer.persistentKeepalive,
+      disabled: { reason: 'quota', since: new Date().toISOString() }
+    }), () => wg.removePeer(iface, publicKey));
+    emitEvent('peer_suspended', { interface: iface, publicKey, reason: 'quota' });
+    
+    return {
+      allowedIPs: peer.allowedIPs,
+      presharedKey: presharedKeys[publicKey] || null,
+      persistentKeepalive: peer.persistentKeepalive
+    };
+  });
+}
+
+// Put a suspended peer back with its stashed settings
+async function resumePeer(iface, publicKey, stash) {
+  return withInterfaceLock(iface, async () => {
+    // A peer disabled by hand stays off when its quota period rolls over
+    const stored = peerStore.get(iface, publicKey);
+    if (stored && stored.disabled && stored.disabled.reason === 'manual') {
+      return;
+    }
+    await changePeers(iface, `resume ${publicKey} (quota)`, () => peerStore.upsert(iface, publicKey, {
+      allowedIPs: stash.allowedIPs,
+      presharedKey: stash.presharedKey,
+      persistentKeepalive: stash.persistentKeepalive,
+      disabled: null
+    }), () => wg.setPeer(iface, publicKey, {
+      allowedIPs: stash.allowedIPs,
+      presharedKey: stash.presharedKey,
+      persistentKeepalive: stash.persistentKeepalive
+    }));
+    emitEvent('peer_resumed', { interface: iface, publicKey, reason: 'quota' });
+  });
+}
+
+// Traffic accounting and quota enforcement
+const usage = createUsageTracker({
+  config,
+  getInterfaces,
+  dumpInterface: iface => wg.dump(iface),
+  disablePeer: (iface, publicKey) => audited(agentOrigin('quota'), 'suspend_peer', { interface: iface, publicKey }, [publicKey],
+    () => suspendPeer(iface, publicKey)),
+  enablePeer: (iface, publicKey, stash) => audited(agentOrigin('quota'), 'resume_peer', { interface: iface, publicKey }, [publicKey],
+    () => resumePeer(iface, publicKey, stash))
+});
+
+// Peer presence (connected / idle / disconnected) and session history
+const sessions = createSessionTracker({
+  config,
+  getInterfaces,
+  dumpInterface: iface => wg.dump(iface),
+  report: (type, data) => emitEvent(type, data, { realtime: true })
+});
+
+// Scheduled removal of time-limited peers
+const expirySchedule = createExpiryScheduler({
+  config,
+  removePeer: (publicKey, options) => audited(agentOrigin('expiry'), 'remove_peer', { publicKey, ...options }, [publicKey],
+    () => removePeer(publicKey, { ...options, reason: 'expired' }))
+});
+
+// Reconciliation of the live interfaces against the backend's peer list
+const reconciler = reconcile.createReconciler({
+  config,
+  backend,
+  getInterfaces,
+  dumpInterface: iface => wg.dump(iface),
+  addPeer: (publicKey, allowedIPs, options) => audited(agentOrigin('reconcile'), 'add_peer', { publicKey, allowedIPs, ...options }, [publicKey],
+    () => addPeer(publicKey, allowedIPs, { ...options, reason: 'reconcile' })),
+  removePeer: (publicKey, options) => audited(agentOrigin('reconcile'), 'remove_peer', { publicKey, ...options }, [publicKey],
+    () => removePeer(publicKey, { ...options, reason: 'reconcile' })),
+  suspendedPeers: async iface => [
+    ...await usage.suspendedPeers(iface),
+    ...peerStore.list(iface).filter(peer => peer.disabled).map(peer => ({ publicKey: peer.publicKey, allowedIPs: peer.allowedIPs }))
+  ],
+  suppressedReason: async (publicKey) => {
+    const expired = await expirySchedule.wasExpired(publicKey);
+    return expired ? `Peer expired at ${expired.expiresAt}` : null;
+  }
+});
+
+// Provision a client: generate its keypair (and preshared key), allocate an address,
+// add the peer and return a ready-to-use client config plus QR code.
+async function provisionPeer(options = {}) {
+  try {
+    if (!config.publicEndpoint) {
+      throw new AgentError('PUBLIC_ENDPOINT is not configured on this agent', { code: 'NOT_CONFIGURED', statusCode: 500 });
+    }
+    const qrFormat = provision.validateQRFormat(options.qr);
+    const dns = options.dns !== undefined ? provision.validateDnsList(options.dns) : config.clientDns;
+    const iface = await resolveInterface(options.interface);
+    
+    // The server's real public key and listen port
+    const server = await wg.dump(iface);
+    if (!server.publicKey || !server.listenPort) {
+      throw new AgentError(`Interface ${iface} has no public key or listen port`, { code: 'INTERFACE_NOT_READY', statusCode: 500 });
+    }
+    
+    const privateKey = await wg.generatePrivateKey();
+    const publicKey = await wg.derivePublicKey(privateKey);
+    const presharedKey = options.presharedKey === false ? null : await wg.generatePresharedKey();
+    
+    const result = await addPeer(publicKey, options.allowedIPs, {
+      interface: iface,
+      presharedKey,
+      expiresAt: options.expiresAt,
+      userId: options.userId,
+      labels: options.labels
+    });
+    if (!result.success) {
+      return result;
+    }
+    
+    const clientConfig = provision.renderClientConfig({
+      privateKey,
+      addresses: result.allowedIPs,
+      dns,
+      mtu: config.clientMtu,
+      serverPublicKey: server.publicKey,
+      presharedKey,
+      endpoint: provision.formatEndpoint(config.publicEndpoint, server.listenPort),
+      allowedIPs: wg.validateAllowedIPs(config.clientAllowedIPs),
+      persistentKeepalive: config.clientPersistentKeepalive
+    });
+    const qrCode = await provision.renderQRCode(clientConfig, qrFormat);
+    
+    console.log(`✅ Client provisioned on ${iface}: ${publicKey.substring(0, 16)}...`);
+    return {
+      success: true,
+      interface: iface,
+      publicKey,
+      allowedIPs: result.allowedIPs,
+      expiresAt: result.expiresAt,
+      userId: result.userId,
+      labels: result.labels,
+      config: clientConfig,
+      qrCode
+    };
+  } catch (error) {
+    console.error(`❌ Failed to provision peer: ${error.message}`);
+    return toErrorResult(error);
+  }
+}
+
+// Put a previous config revision of a managed interface back in place; the peer
+// store follows the restored file
+async function rollbackConfig(name, revision) {
+  try {
+    const target = Number(revision);
+    if (!Number.isInteger(target) || target < 1) {
+      throw new ValidationError('revision must be a positive integer', 'INVALID_REVISION');
+    }
+    const iface = await resolveInterface(name);
+    
+    return await withInterfaceLock(iface, async () => {
+      if (!await isConfigManaged(iface)) {
+        throw new ConflictError(`${iface} has no config file managed by the agent (WG_CONFIG_MODE=${config.wgConfigMode})`, 'CONFIG_NOT_MANAGED');
+      }
+      const result = await wgConfig.rollback(iface, target);
+      peerStore.replace(iface, result.peers);
+      await peerStore.save();
+      
+      console.log(`⏪ ${iface} config rolled back to revision ${target}${result.changed ? ` (now revision ${result.revision})` : ' (no change)'}`);
+      emitEvent('config_rolled_back', { interface: iface, revision: target, newRevision: result.revision, peers: result.peers.length });
+      return {
+        success: true,
+        interface: iface,
+        rolledBackTo: target,
+        revision: result.revision,
+        changed: result.changed,
+        peers: result.peers.length
+      };
+    });
+  } catch (error) {
+    console.error(`❌ Failed to roll back config: ${error.message}`);
+    return toErrorResult(error);
+  }
+}
+
+// The interface and its UDP listener, checked the same way as /status and /health
+async function probeInterface(iface) {
+  const status = await getWireGuardStatus(iface);
+  if (status.status !== 'up') {
+    return { healthy: false, problem: `WireGuard interface ${iface} is down${status.error ? ` (${status.error})` : ''}`, status };
+  }
+  if (!status.port || !await wg.isUdpPortListening(status.port)) {
+    return { healthy: false, problem: `Nothing listens on UDP ${status.port} (${iface})`, status };
+  }
+  return { healthy: true, problem: null, status };
+}
+
+// Poll until the interface passes its checks or the start timeout runs out
+async function waitForInterface(iface) {
+  const deadline = Date.now() + config.interfaceStartTimeout;
+  let result = await probeInterface(iface);
+  while (!result.healthy && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    result = await probeInterface(iface);
+  }
+  return result;
+}
+
+// Interfaces that are down drop out of discovery; a config file is enough to start one
+async function resolveLifecycleInterface(name) {
+  try {
+    return await resolveInterface(name);
+  } catch (error) {
+    if (error.code === 'UNKNOWN_INTERFACE' && config.wgInterfaces.length === 0 && await wgConfig.isManaged(name)) {
+      return name;
+    }
+    throw error;
+  }
+}
+
+const LIFECYCLE_EVENTS = { start: 'interface_started', stop: 'interface_stopped', restart: 'interface_restarted' };
+
+// Start, stop or restart an interface. Starts and restarts are verified with the
+// interface checks; an interface stopped here is left alone by the watchdog.
+async function controlInterface(name, action, options = {}) {
+  try {
+    if (!wg.LIFECYCLE_ACTIONS.includes(action)) {
+      throw new ValidationError(`action must be one of: ${wg.LIFECYCLE_ACTIONS.join(', ')}`, 'INVALID_ACTION');
+    }
+    const iface = await resolveLifecycleInterface(name);
+    
+    return await withInterfaceLock(iface, async () => {
+      if (action === 'stop') {
+        watchdog.hold(iface);
+      }
+      try {
+        await wg.controlInterface(iface, action, config.wgServiceManager);
+      } catch (error) {
+        watchdog.release(iface);
+        throw error;
+      }
+      
+      let result = null;
+      if (action !== 'stop') {
+        watchdog.release(iface);
+        result = await waitForInterface(iface);
+        if (!result.healthy) {
+          throw new AgentError(`${iface} did not come back after ${action}: ${result.problem}`, { code: 'INTERFACE_NOT_RECOVERED', statusCode: 500 });
+        }
+      }
+      
+      console.log(`✅ Interface ${iface}: ${action} done${options.reason ? ` (${options.reason})` : ''}`);
+      emitEvent(LIFECYCLE_EVENTS[action], { interface: iface, reason: options.reason || null });
+      return {
+        success: true,
+        interface: iface,
+        action,
+        status: result ? result.status : await getWireGuardStatus(iface)
+      };
+    });
+  } catch (error) {
+    console.error(`❌ Failed to ${action} interface: ${error.message}`);
+    return toErrorResult(error);
+  }
+}
+
+// Restarts interfaces that stay down (WATCHDOG_ENABLED)
+const watchdog = createWatchdog({
+  config,
+  getInterfaces,
+  probe: probeInterface,
+  restart: async (iface) => {
+    const result = await audited(agentOrigin('watchdog'), 'restart_interface', { interface: iface }, [],
+      () => controlInterface(iface, 'restart', { reason: 'watchdog' }));
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  },
+  report: emitEvent
+});
+
+// NAT, forwarding, peer isolation and port forwards in the agent's own iptables chains
+const firewall = createFirewall({
+  config,
+  getInterfaces,
+  findPeer: publicKey => peerStore.find(publicKey),
+  report: emitEvent
+});
+
+// Firewall actions for the HTTP API and backend commands; each resolves a result object
+async function applyFirewall() {
+  try {
+    return { success: true, firewall: await firewall.apply() };
+  } catch (error) {
+    return toErrorResult(error);
+  }
+}
+
+async function addPortForward(payload) {
+  try {
+    return { success: true, forward: await firewall.addForward(payload) };
+  } catch (error) {
+    return toErrorResult(error);
+  }
+}
+
+async function removePortForward(payload) {
+  try {
+    return { success: true, forward: await firewall.removeForward(payload.protocol, payload.port) };
+  } catch (error) {
+    return toErrorResult(error);
+  }
+}
+
+// Backend commands, shared by every command transport
+const commands = createCommandDispatcher();
+
+// Every backend command changes something; each run is audited
+function registerCommand(type, publicKeysOf, handler) {
+  commands.register(type, (payload, context) => audited(commandOrigin(context), type, payload, publicKeysOf(payload), () => handler(payload)));
+}
+
+const commandPeer = payload => [payload.publicKey];
+
+registerCommand('add_peer', commandPeer, async (payload) => {
+  const result = await addPeer(payload.publicKey, payload.allowedIPs, {
+    interface: payload.interface,
+    expiresAt: payload.expiresAt,
+    userId: payload.userId,
+    labels: payload.labels
+  });
+  return { ...result, publicKey: payload.publicKey };
+});
+
+registerCommand('remove_peer', commandPeer, async (payload) => {
+  const result = await removePeer(payload.publicKey, { interface: payload.interface });
+  return { ...result, publicKey: payload.publicKey };
+});
+
+registerCommand('provision_peer', () => [], payload => provisionPeer(payload));
+
+registerCommand('update_peer', commandPeer, async (payload) => {
+  const { publicKey, interface: iface, ...changes } = payload;
+  const result = await updatePeer(publicKey, changes, { interface: iface });
+  return { ...result, publicKey };
+});
+
+for (const action of wg.LIFECYCLE_ACTIONS) {
+  registerCommand(`${action}_interface`, () => [], payload => controlInterface(payload.interface, action));
+}
+
+registerCommand('batch_peers', payload => batchPeerKeys(payload), payload => applyPeerBatch(payload));
+
+registerCommand('reconcile', () => [], async (payload) => {
+  const report = await reconciler.run({ dryRun: Boolean(payload.dryRun) });
+  return { success: true, report };
+});
+
+registerCommand('rotate_credentials', () => [], () => rotateCredentials());
+
+registerCommand('apply_firewall', () => [], () => applyFirewall());
+
+registerCommand('add_port_forward', commandPeer, payload => addPortForward(payload));
+
+registerCommand('remove_port_forward', () => [], payload => removePortForward(payload));
+
+// HTTP polling, for when WebSockets are not configured or do not stay up
+const commandPoller = createCommandPoller({ config, backend, dispatcher: commands, outbox });
+
+// WebSocket connection for real-time commands
+const commandSocket = createCommandSocket({
+  config,
+  tls: tlsFiles,
+  dispatcher: commands,
+  hello: async () => ({ interfaces: await getInterfaces() }),
+  // Replies for a socket that closed mid-command go to the results endpoint instead
+  onUndelivered: (reply) => {
+    outbox.deliver('command_result', `/agent/commands/${encodeURIComponent(config.serverId)}/results`, { serverId: config.serverId, results: [reply] })
+      .catch(error => console.error(`❌ Backend rejected command result: ${describeError(error, config)}`));
+  },
+  onStable: () => {
+    if (config.commandTransport === 'auto' && commandPoller.isRunning()) {
+      console.log('🔌 WebSocket is stable again, leaving polling mode');
+      commandPoller.stop();
+    }
+  },
+  onDown: (failures) => {
+    if (config.commandTransport === 'auto' && failures >= config.wsFallbackAfter && !commandPoller.isRunning()) {
+      console.log(`🔌 WebSocket failed ${failures} times in a row, falling back to HTTP polling`);
+      commandPoller.start();
+    }
+  }
+});
+
+// Apply changed transport settings: drop the current connection and start over
+function restartCommandTransport() {
+  commandPoller.stop();
+  if (usesWebSocket()) {
+    commandSocket.reconnect();
+    return;
+  }
+  commandSocket.close();
+  startCommandTransport();
+}
+
+// Commands arrive over the WebSocket (polling only as its fallback)
+function usesWebSocket() {
+  return config.commandTransport !== 'off' && Boolean(config.wsUrl) && config.commandTransport !== 'polling';
+}
+
+function startCommandTransport() {
+  if (config.commandTransport === 'off') {
+    console.log('📭 Backend commands disabled (COMMAND_TRANSPORT=off)');
+    return;
+  }
+  if (usesWebSocket()) {
+    commandSocket.connect();
+  } else {
+    commandPoller.start();
+  }
+}
+
+// Live gauges, read on every /metrics scrape
+const agentInfo = metrics.gauge('vexira_agent_info', 'Agent version and server id');
+const cpuGauge = metrics.gauge('vexira_agent_cpu_usage_percent', 'CPU usage over the last sampling interval');
+const ramGauge = metrics.gauge('vexira_agent_ram_usage_percent', 'RAM in use (total minus available)');
+const loadGauge = metrics.gauge('vexira_agent_system_load_percent', 'System load (1-minute load average per CPU)');
+const interfaceUp = metrics.gauge('vexira_wireguard_interface_up', 'Whether the WireGuard interface is up');
+const interfacePeers = metrics.gauge('vexira_wireguard_peers', 'Peers configured on the interface');
+const peerRxBytes = metrics.counter('vexira_wireguard_peer_receive_bytes_total', 'Bytes received from the peer (kernel counter)');
+const peerTxBytes = metrics.counter('vexira_wireguard_peer_transmit_bytes_total', 'Bytes sent to the peer (kernel counter)');
+const peerHandshakeAge = metrics.gauge('vexira_wireguard_peer_seconds_since_handshake', 'Seconds since the latest handshake (absent if none yet)');
+const websocketConnected = metrics.gauge('vexira_agent_websocket_connected', 'Whether the command WebSocket is connected');
+const pollingActive = metrics.gauge('vexira_agent_command_polling_active', 'Whether commands are being polled over HTTP');
+const outboxPending = metrics.gauge('vexira_agent_outbox_pending_messages', 'Messages waiting in the outbox');
+
+metrics.collect(async () => {
+  agentInfo.set({ version: agentVersion, server_id: config.serverId }, 1);
+  const { cpuUsage, ramUsage, systemLoad } = system.summary();
+  cpuGauge.set({}, cpuUsage);
+  ramGauge.set({}, ramUsage);
+  loadGauge.set({}, systemLoad);
+  websocketConnected.set({}, commandSocket.isConnected() ? 1 : 0);
+  pollingActive.set({}, commandPoller.isRunning() ? 1 : 0);
+  outboxPending.set({}, outbox.stats().pending);
+  
+  // Peers come and go: rebuild the per-peer series from the current dumps
+  [interfaceUp, interfacePeers, peerRxBytes, peerTxBytes, peerHandshakeAge].forEach(metric => metric.reset());
+  const now = Math.floor(Date.now() / 1000);
+  for (const name of await getInterfaces()) {
+    let state = null;
+    try {
+      state = await wg.dump(name);
+    } catch (error) {
+      // Interface down or missing
+    }
+    interfaceUp.set({ interface: name }, state && await wg.isInterfaceUp(name) ? 1 : 0);
+    interfacePeers.set({ interface: name }, state ? state.peers.length : 0);
+    for (const peer of state ? state.peers : []) {
+      const labels = { interface: name, public_key: peer.publicKey };
+      peerRxBytes.set(labels, peer.transferRx);
+      peerTxBytes.set(labels, peer.transferTx);
+      if (peer.latestHandshake) {
+        peerHandshakeAge.set(labels, Math.max(0, now - peer.latestHandshake));
+      }
+    }
+  }
+});
+
+// Shape a parsed dump peer for API responses (byte counters and epoch seconds)
+function formatPeer(peer) {
+  return {
+    publicKey: peer.publicKey,
+    endpoint: peer.endpoint,
+    allowedIPs: peer.allowedIPs,
+    latestHandshake: peer.latestHandshake,
+    persistentKeepalive: peer.persistentKeepalive,
+    hasPresharedKey: peer.hasPresharedKey,
+    transfer: {
+      received: peer.transferRx,
+      sent: peer.transferTx
+    }
+  };
+}
+
+// HTTP Endpoints
+
+// GET /status - Get WireGuard status (?interface= selects the top-level interface)
+app.get('/status', auth.requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const selected = await resolveInterface(req.query.interface);
+    const interfaces = await getAllWireGuardStatus();
+    const status = interfaces.find(item => item.interface === selected) || await getWireGuardStatus(selected);
+    res.json({
+      success: true,
+      ...status,
+      interfaces: interfaces,
+      outbox: outbox.stats(),
+      watchdog: watchdog.status(),
+      sessions: await sessions.counts(),
+      enrollment: enrollment.status(),
+      firewall: firewall.status(),
+      platform: process.platform,
+      isWindows: isWindows,
+      // If Windows or error, indicate that WireGuard data is not available
+      wireguardAvailable: !isWindows && !status.error
+    });
+  } catch (error) {
+    res.status(error instanceof ValidationError ? 400 : 500).json({
+      success: false,
+      status: 'down',
+      error: error.message,
+      platform: process.platform,
+      isWindows: isWindows,
+      wireguardAvailable: false
+    });
+  }
+});
+
+// GET /metrics - Prometheus metrics
+app.get('/metrics', auth.requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.contentType).send(await metrics.render());
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /system - Latest system sample and recent history
+app.get('/system', auth.requireScope(SCOPES.READ), (req, res) => {
+  res.json({
+    success: true,
+    sampleInterval: config.systemSampleInterval / 1000,
+    latest: system.latest(),
+    history: system.history()
+  });
+});
+
+// GET /health - Composite health (per-check results, weighted by HEALTH_WEIGHTS)
+app.get('/health', auth.requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const [result, interfaces] = await Promise.all([healthEvaluator.evaluate(), getAllWireGuardStatus()]);
+    const { systemLoad } = system.summary();
+    
+    res.json({
+      success: true,
+      status: result.status,
+      score: result.score,
+      reason: result.reason,
+      checks: result.checks,
+      evaluatedAt: result.evaluatedAt,
+      wireguard: interfaces.find(status => status.status !== 'up') || interfaces[0] || null,
+      interfaces: interfaces,
+      systemLoad: systemLoad,
+      platform: process.platform,
+      isWindows: isWindows,
+      wireguardAvailable: !isWindows && interfaces.some(status => !status.error)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      status: 'down',
+      reason: error.message
+    });
+  }
+});
+
+// GET /peers - Get peer list (?includeDisabled=true adds peers that are switched off)
+app.get('/peers', auth.requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const names = req.query.interface ? [await resolveInterface(req.query.interface)] : await getInterfaces();
+    const peers = [];
+    for (const name of names) {
+      const iface = await wg.dump(name);
+      peers.push(...iface.peers.map((peer) => {
+        const stored = peerStore.get(name, peer.publicKey);
+        return {
+          interface: name,
+          ...formatPeer(peer),
+          userId: stored ? stored.userId : null,
+          labels: stored ? stored.labels : {},
+          enabled: true
+        };
+      }));
+      if (req.query.includeDisabled === 'true') {
+        peers.push(...peerStore.list(name).filter(entry => entry.disabled).map(entry => formatStoredPeer(name, entry)));
+      }
+    }
+    
+    res.json({
+      success: true,
+      peers: peers,
+      count: peers.length
+    });
+  } catch (error) {
+    res.status(error instanceof ValidationError ? 400 : 500).json({
+      success: false,
+      peers: [],
+      count: 0,
+      error: error.message
+    });
+  }
+});
+
+// POST /peers/add - Add peer (HTTP)
+app.post('/peers/add', auth.requireScope(SCOPES.PEERS_WRITE), async (req, res) => {
+  try {
+    const { publicKey, allowedIPs, interface: iface, expiresAt, userId, labels } = req.body || {};
+    if (!publicKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'publicKey is required'
+      });
+    }
+
+    const result = await audited(httpOrigin(req), 'add_peer', req.body, [publicKey],
+      () => addPeer(publicKey, allowedIPs, { interface: iface, expiresAt, userId, labels }));
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: result.error || 'Failed to add peer',
+        code: result.code
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Peer added',
+      interface: result.interface,
+      allowedIPs: result.allowedIPs,
+      allocated: result.allocated,
+      expiresAt: result.expiresAt,
+      userId: result.userId,
+      labels: result.labels
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /peers/provision - Generate a client, add it as a peer and return its config
+app.post('/peers/provision', auth.requireScope(SCOPES.PEERS_WRITE), async (req, res) => {
+  try {
+    const result = await audited(httpOrigin(req), 'provision_peer', req.body, [], () => provisionPeer(req.body || {}));
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: result.error || 'Failed to provision peer',
+        code: result.code
+      });
+    }
+    
+    return res.json({ message: 'Peer provisioned', ...result });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// POST /peers/remove - Remove peer (HTTP)
+app.post('/peers/remove', auth.requireScope(SCOPES.PEERS_WRITE), async (req, res) => {
+  try {
+    const { publicKey, interface: iface } = req.body || {};
+    if (!publicKey) {
+      return res.status(400).json({
+        success: false,
+        message: 'publicKey is required'
+      });
+    }
+
+    const result = await audited(httpOrigin(req), 'remove_peer', req.body, [publicKey], () => removePeer(publicKey, { interface: iface }));
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: result.error || 'Failed to remove peer',
+        code: result.code
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Peer removed',
+      interface: result.interface,
+      releasedIPs: result.releasedIPs
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// PATCH /peers/:publicKey - Change a peer in place, or enable/disable it ({ enabled: false })
+app.patch('/peers/:publicKey', auth.requireScope(SCOPES.PEERS_WRITE), async (req, res) => {
+  try {
+    const { interface: iface, ...changes } = req.body || {};
+    const result = await audited(httpOrigin(req), 'update_peer', { publicKey: req.params.publicKey, ...req.body }, [req.params.publicKey],
+      () => updatePeer(req.params.publicKey, changes, { interface: iface }));
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: result.error || 'Failed to update peer',
+        code: result.code
+      });
+    }
+    return res.json({ ...result, message: 'Peer updated' });
+  } catch (error) {
+    const failure = toErrorResult(error);
+    return res.status(failure.statusCode).json({ success: false, message: failure.error, code: failure.code });
+  }
+});
+
+// POST /peers/batch - Apply many adds/updates/removes at once, all or nothing
+// ({ interface, operations: [{ op: "add" | "update" | "remove", publicKey, ... }] })
+app.post('/peers/batch', auth.requireScope(SCOPES.PEERS_WRITE), async (req, res) => {
+  try {
+    const result = await audited(httpOrigin(req), 'batch_peers', req.body, batchPeerKeys(req.body || {}), () => applyPeerBatch(req.body || {}));
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: result.error || 'Failed to apply peer batch',
+        code: result.code,
+        applied: 0,
+        results: result.results
+      });
+    }
+    return res.json({ ...result, message: `${result.applied} operation(s) applied` });
+  } catch (error) {
+    const failure = toErrorResult(error);
+    return res.status(failure.statusCode).json({ success: false, message: failure.error, code: failure.code });
+  }
+});
+
+// GET /ipam - Address pool usage per interface (?interface= selects one)
+app.get('/ipam', auth.requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const names = req.query.interface ? [await resolveInterface(req.query.interface)] : await getInterfaces();
+    const interfaces = [];
+    for (const name of names) {
+      const plan = await getAddressPlan(name);
+      const state = await wg.dump(name);
+      const used = state.peers.flatMap(peer => peer.allowedIPs);
+      interfaces.push({
+        interface: name,
+        serverAddresses: plan.serverAddresses,
+        pools: plan.pools.map(pool => ipam.poolUsage(pool, used, plan.excluded))
+      });
+    }
+    
+    res.json({ success: true, interfaces: interfaces });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// PUT /peers/:publicKey/expiry - Set or extend a peer's expiry { expiresAt } (key URL-encoded)
+app.put('/peers/:publicKey/expiry', auth.requireScope(SCOPES.PEERS_WRITE), async (req, res) => {
+  try {
+    const publicKey = wg.validatePublicKey(req.params.publicKey);
+    const { expiresAt } = req.body || {};
+    if (!expiresAt) {
+      return res.status(400).json({ success: false, message: 'expiresAt is required' });
+    }
+    const date = parseExpiresAt(expiresAt);
+    const existing = await expirySchedule.get(publicKey);
+    const iface = existing && !req.body.interface ? existing.interface : await resolveInterface(req.body.interface);
+    
+    // Only schedule peers the agent manages on the interface: live, disabled or quota-suspended
+    const state = await wg.dump(iface);
+    const known = state.peers.some(peer => peer.publicKey === publicKey)
+      || Boolean(peerStore.get(iface, publicKey))
+      || (await usage.suspendedPeers(iface)).some(peer => peer.publicKey === publicKey);
+    if (!known) {
+      return res.status(404).json({ success: false, message: `Peer not found on ${iface}` });
+    }
+    
+    const entry = await audited(httpOrigin(req), 'set_expiry', { publicKey, ...req.body }, [publicKey], () => expirySchedule.set(publicKey, iface, date));
+    return res.json({ success: true, message: 'Expiry set', ...entry });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ success: false, message: error.message, code: error.code });
+  }
+});
+
+// DELETE /peers/:publicKey/expiry - Clear a peer's expiry
+app.delete('/peers/:publicKey/expiry', auth.requireScope(SCOPES.PEERS_WRITE), async (req, res) => {
+  try {
+    const publicKey = wg.validatePublicKey(req.params.publicKey);
+    const entry = await audited(httpOrigin(req), 'clear_expiry', { publicKey }, [publicKey], () => expirySchedule.clear(publicKey));
+    if (!entry) {
+      return res.status(404).json({ success: false, message: 'No expiry scheduled for this peer' });
+    }
+    return res.json({ success: true, message: 'Expiry cleared', publicKey: entry.publicKey });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ success: false, message: error.message, code: error.code });
+  }
+});
+
+// GET /expirations - Upcoming expirations, soonest first (?within=<seconds>)
+app.get('/expirations', auth.requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    let within = null;
+    if (req.query.within !== undefined) {
+      within = Number(req.query.within);
+      if (!Number.isFinite(within) || within < 0) {
+        return res.status(400).json({ success: false, message: 'within must be a non-negative number of seconds' });
+      }
+    }
+    const peers = await expirySchedule.upcoming(within);
+    return res.json({ success: true, peers: peers, count: peers.length });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// GET /reconcile - Report of the last reconciliation run
+app.get('/reconcile', auth.requireScope(SCOPES.READ), (req, res) => {
+  res.json({
+    success: true,
+    mode: config.reconcileMode,
+    report: reconciler.getLastReport()
+  });
+});
+
+// POST /reconcile - Reconcile now against the backend ({ dryRun: true } only reports the diff)
+app.post('/reconcile', auth.requireScope(SCOPES.PEERS_WRITE), async (req, res) => {
+  try {
+    const dryRun = Boolean(req.body && req.body.dryRun);
+    const report = await audited(httpOrigin(req), 'reconcile', { dryRun }, [], () => reconciler.run({ dryRun }));
+    res.json({ success: true, report: report });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      message: `Reconciliation failed: ${describeError(error, config)}`
+    });
+  }
+});
+
+// GET /usage - Accumulated traffic per peer (?interface= filters)
+app.get('/usage', auth.requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const iface = req.query.interface ? await resolveInterface(req.query.interface) : undefined;
+    const peers = await usage.getSummary({ interface: iface });
+    res.json({ success: true, peers: peers, count: peers.length });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
-  
-  return 0;
-}
+});
 
-// Get RAM usage percentage
-async function getRAMUsage() {
-  // Windows doesn't have 'free' command, return 0 silently
-  if (isWindows) {
-    return 0;
+// GET /usage/:publicKey - Daily and monthly usage of one peer (key URL-encoded)
+app.get('/usage/:publicKey', auth.requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    const peer = await usage.getPeerUsage(req.params.publicKey);
+    if (!peer) {
+      return res.status(404).json({ success: false, message: 'No usage recorded for this peer' });
+    }
+    return res.json({ success: true, ...peer });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
-  
+});
+
+// PUT /usage/:publicKey/quota - Set a peer's quota { limitBytes, period: daily|monthly }
+app.put('/usage/:publicKey/quota', auth.requireScope(SCOPES.PEERS_WRITE), async (req, res) => {
   try {
-    const { stdout } = await execAsync("free | grep Mem | awk '{print ($3/$2) * 100.0}'");
-    const ramUsage = parseFloat(stdout.trim()) || 0;
-    return Math.min(ramUsage, 100);
+    const publicKey = wg.validatePublicKey(req.params.publicKey);
+    const iface = req.body && req.body.interface ? await resolveInterface(req.body.interface) : null;
+    const peer = await audited(httpOrigin(req), 'set_quota', { publicKey, ...req.body }, [publicKey], () => usage.setQuota(publicKey, req.body || {}, iface));
+    return res.json({ success: true, message: 'Quota set', ...peer });
   } catch (error) {
-    // Silently return 0 on error (don't log on Windows)
-    return 0;
+    return res.status(error.statusCode || 500).json({ success: false, message: error.message, code: error.code });
   }
-}
+});
 
-// Send heartbeat to backend
-async function sendHeartbeat() {
+// DELETE /usage/:publicKey/quota - Remove a peer's quota
+app.delete('/usage/:publicKey/quota', auth.requireScope(SCOPES.PEERS_WRITE), async (req, res) => {
   try {
-    const wgStatus = await getWireGuardStatusSimple();
-    const systemLoad = await getSystemLoad();
-    const cpuUsage = await getCPUUsage();
-    const ramUsage = await getRAMUsage();
-    
-    // Use system load as the main load metric (0-100)
-    const load = systemLoad;
-    
-    const payload = {
-      serverId: config.serverId,
-      wgRunning: wgStatus.running,
-      load: load,
-      activePeers: wgStatus.peerCount,
-      metrics: {
-        cpuUsage: cpuUsage,
-        ramUsage: ramUsage,
-        systemLoad: systemLoad
-      }
-    };
-    
-    const headers = {};
-    if (config.apiKey) {
-      headers['X-API-Key'] = config.apiKey;
+    const peer = await audited(httpOrigin(req), 'clear_quota', { publicKey: req.params.publicKey }, [req.params.publicKey],
+      () => usage.clearQuota(req.params.publicKey));
+    if (!peer) {
+      return res.status(404).json({ success: false, message: 'No usage recorded for this peer' });
     }
-    
-    const response = await axios.post(
-      `${config.backendUrl}/agent/heartbeat`,
-      payload,
-      { headers, timeout: 10000 }
-    );
-    
-    if (response.data.success) {
-      console.log(`✅ Heartbeat sent: WG=${wgStatus.running ? 'RUNNING' : 'STOPPED'}, Load=${load.toFixed(1)}%, Peers=${wgStatus.peerCount}`);
-    }
-    
-    return response.data;
+    return res.json({ success: true, message: 'Quota removed', ...peer });
   } catch (error) {
-    if (error.response) {
-      console.error(`❌ Heartbeat failed: ${error.response.status} - ${error.response.data?.message || error.message}`);
-    } else if (error.request) {
-      console.error(`❌ Heartbeat failed: No response from backend (${config.backendUrl})`);
-    } else {
-      console.error(`❌ Heartbeat error: ${error.message}`);
-    }
-    return null;
+    return res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
-}
+});
 
-// Add WireGuard peer
-async function addPeer(publicKey, allowedIPs) {
+// GET /sessions - Peer sessions, newest first (?interface=, ?publicKey=, ?active=true|false, ?since=<ISO date>, ?limit=)
+app.get('/sessions', auth.requireScope(SCOPES.READ), async (req, res) => {
   try {
-    // Add peer to WireGuard
-    // Note: This is a simplified version. In production, you'd want to:
-    // 1. Generate private key if needed
-    // 2. Add to wg0 interface
-    // 3. Update configuration file
-    // 4. Save configuration
-    
-    const command = `wg set wg0 peer ${publicKey} allowed-ips ${allowedIPs || '10.0.0.2/32'}`;
-    await execAsync(command);
-    
-    // Save configuration (if using wg-quick)
-    try {
-      await execAsync('wg-quick save wg0');
-    } catch (e) {
-      // wg-quick save might not be available, that's okay
-      console.log('Note: Could not save WireGuard config automatically');
+    const iface = req.query.interface ? await resolveInterface(req.query.interface) : undefined;
+    if (req.query.since && Number.isNaN(Date.parse(req.query.since))) {
+      throw new ValidationError('since must be an ISO 8601 date', 'INVALID_DATE');
     }
-    
-    console.log(`✅ Peer added: ${publicKey.substring(0, 16)}...`);
-    return { success: true };
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && !(limit > 0)) {
+      throw new ValidationError('limit must be a positive number', 'INVALID_LIMIT');
+    }
+    const result = await sessions.getSessions({
+      interface: iface,
+      publicKey: req.query.publicKey,
+      active: req.query.active === undefined ? undefined : req.query.active === 'true',
+      since: req.query.since,
+      limit
+    });
+    res.json({ success: true, sessions: result, count: result.length, peers: await sessions.counts() });
   } catch (error) {
-    console.error(`❌ Failed to add peer: ${error.message}`);
-    return { success: false, error: error.message };
+    res.status(error.statusCode || 500).json({ success: false, message: error.message, code: error.code });
   }
-}
+});
 
-// Remove WireGuard peer
-async function removePeer(publicKey) {
+// GET /sessions/:publicKey - Presence and session history of one peer (key URL-encoded)
+app.get('/sessions/:publicKey', auth.requireScope(SCOPES.READ), async (req, res) => {
   try {
-    // Remove peer from WireGuard
-    const command = `wg set wg0 peer ${publicKey} remove`;
-    await execAsync(command);
-    
-    // Save configuration (if using wg-quick)
-    try {
-      await execAsync('wg-quick save wg0');
-    } catch (e) {
-      // wg-quick save might not be available, that's okay
-      console.log('Note: Could not save WireGuard config automatically');
+    const peer = await sessions.getPeer(req.params.publicKey);
+    if (!peer) {
+      return res.status(404).json({ success: false, message: 'No sessions recorded for this peer' });
     }
-    
-    console.log(`✅ Peer removed: ${publicKey.substring(0, 16)}...`);
-    return { success: true };
+    return res.json({ success: true, ...peer });
   } catch (error) {
-    console.error(`❌ Failed to remove peer: ${error.message}`);
-    return { success: false, error: error.message };
+    return res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
-}
+});
 
-// Note: For HTTP polling-based command checking, you would need to implement:
-// - GET /agent/commands/:serverId endpoint on backend
-// - Periodic polling (e.g., every 10 seconds)
-// - Command queue management
-// Currently, we use WebSocket for real-time commands (if configured)
+// GET /events - Live event stream (Server-Sent Events; ?types=a,b and ?interface= filter, Last-Event-ID replays)
+app.get('/events', auth.requireScope(SCOPES.READ), (req, res) => {
+  const types = String(req.query.types || '').split(',').map(item => item.trim()).filter(Boolean);
+  const wanted = entry => (!types.length || types.includes(entry.event.type))
+    && (!req.query.interface || entry.event.interface === req.query.interface);
+  const write = (entry) => {
+    if (wanted(entry)) {
+      res.write(`id: ${entry.id}\nevent: ${entry.event.type}\ndata: ${JSON.stringify(entry.event)}\n\n`);
+    }
+  };
 
-// WebSocket connection for real-time commands
-let wsConnection = null;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: do not buffer the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
 
-function connectWebSocket() {
-  if (!config.wsUrl) {
-    // If no WebSocket URL is configured, use HTTP polling
-    return;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId !== undefined) {
+    eventStream.since(lastEventId).forEach(write);
   }
-  
+  const unsubscribe = eventStream.subscribe(write);
+  // Comment lines keep proxies from closing an idle stream
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    unsubscribe();
+  });
+});
+
+// GET /audit - Audit log, newest first (?publicKey=, ?action=a,b, ?source=http|websocket|polling|agent, ?caller=,
+// ?from= / ?to= ISO dates, ?limit= up to 1000)
+app.get('/audit', auth.requireScope(SCOPES.AUDIT_READ), async (req, res) => {
   try {
-    const wsUrl = config.wsUrl.replace('http://', 'ws://').replace('https://', 'wss://');
-    const ws = new WebSocket(`${wsUrl}/agent/commands?serverId=${config.serverId}`);
-    
-    ws.on('open', () => {
-      console.log('🔌 WebSocket connected to backend');
-      wsConnection = ws;
-    });
-    
-    ws.on('message', async (data) => {
-      try {
-        const message = JSON.parse(data.toString());
-        
-        if (message.type === 'add_peer') {
-          const { publicKey, allowedIPs } = message;
-          const result = await addPeer(publicKey, allowedIPs);
-          ws.send(JSON.stringify({ type: 'peer_added', success: result.success, publicKey }));
-        } else if (message.type === 'remove_peer') {
-          const { publicKey } = message;
-          const result = await removePeer(publicKey);
-          ws.send(JSON.stringify({ type: 'peer_removed', success: result.success, publicKey }));
-        }
-      } catch (error) {
-        console.error('Error processing WebSocket message:', error.message);
-      }
-    });
-    
-    ws.on('error', (error) => {
-      console.error('WebSocket error:', error.message);
-    });
-    
-    ws.on('close', () => {
-      console.log('🔌 WebSocket disconnected, reconnecting in 5 seconds...');
-      wsConnection = null;
-      setTimeout(connectWebSocket, 5000);
-    });
+    const entries = await auditLog.query(req.query);
+    res.json({ success: true, entries, count: entries.length });
   } catch (error) {
-    console.error('WebSocket connection error:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, message: error.message, code: error.code });
   }
-}
+});
 
-// HTTP Endpoints
-// GET /status - Get WireGuard status
-app.get('/status', async (req, res) => {
+// GET /interfaces/:name/config/revisions - Saved config revisions, newest first
+app.get('/interfaces/:name/config/revisions', auth.requireScope(SCOPES.READ), async (req, res) => {
   try {
-    const status = await getWireGuardStatus();
+    const iface = await resolveInterface(req.params.name);
+    const revisions = await wgConfig.revisions(iface);
     res.json({
       success: true,
-      ...status,
-      platform: process.platform,
-      isWindows: isWindows,
-      // If Windows or error, indicate that WireGuard data is not available
-      wireguardAvailable: !isWindows && !status.error
+      interface: iface,
+      managed: await isConfigManaged(iface),
+      revisions: revisions,
+      count: revisions.length
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      status: 'down',
-      error: error.message,
-      platform: process.platform,
-      isWindows: isWindows,
-      wireguardAvailable: false
-    });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message });
   }
 });
 
-// GET /health - Health check
-app.get('/health', async (req, res) => {
+// GET /interfaces/:name/config/revisions/:revision - One revision's config (keys hidden)
+app.get('/interfaces/:name/config/revisions/:revision', auth.requireScope(SCOPES.READ), async (req, res) => {
   try {
-    const status = await getWireGuardStatus();
-    const systemLoad = await getSystemLoad();
-    
-    let healthStatus = 'down';
-    let reason = '';
-    
-    if (status.status === 'down') {
-      healthStatus = 'down';
-      reason = 'WireGuard interface is down';
-    } else if (status.peers === 0) {
-      healthStatus = 'down';
-      reason = 'No peers connected';
-    } else if (!status.lastHandshake) {
-      healthStatus = 'degraded';
-      reason = 'No handshake detected';
-    } else {
-      // Check if handshake is recent (within 2 minutes)
-      // Parse handshake time
-      const handshakeStr = status.lastHandshake;
-      let handshakeTime = null;
-      
-      if (handshakeStr.includes('ago')) {
-        const now = Date.now();
-        let seconds = 0;
-        const minutesMatch = handshakeStr.match(/(\d+)\s*minute/);
-        const secondsMatch = handshakeStr.match(/(\d+)\s*second/);
-        if (minutesMatch) seconds += parseInt(minutesMatch[1], 10) * 60;
-        if (secondsMatch) seconds += parseInt(secondsMatch[1], 10);
-        handshakeTime = now - (seconds * 1000);
-      }
-      
-      if (handshakeTime && (Date.now() - handshakeTime) > 2 * 60 * 1000) {
-        healthStatus = 'degraded';
-        reason = `Last handshake was more than 2 minutes ago (${handshakeStr})`;
-      } else {
-        healthStatus = 'healthy';
-        reason = `WireGuard is healthy. ${status.peers} peer(s) connected`;
-      }
-    }
-    
+    const iface = await resolveInterface(req.params.name);
+    const revision = await wgConfig.getRevision(iface, req.params.revision);
     res.json({
       success: true,
-      status: healthStatus,
-      reason: reason,
-      wireguard: status,
-      systemLoad: systemLoad,
-      platform: process.platform,
-      isWindows: isWindows,
-      wireguardAvailable: !isWindows && !status.error
+      interface: iface,
+      ...revision,
+      content: wgconfig.redactConfig(revision.content)
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      status: 'down',
-      reason: error.message
-    });
+    res.status(error.statusCode || 500).json({ success: false, message: error.message, code: error.code });
   }
 });
 
-// GET /peers - Get peer list
-app.get('/peers', async (req, res) => {
+// POST /interfaces/:name/config/rollback - Restore a previous config revision ({ revision })
+app.post('/interfaces/:name/config/rollback', auth.requireScope(SCOPES.PEERS_WRITE), async (req, res) => {
   try {
-    const { stdout } = await execAsync('wg show wg0');
-    const lines = stdout.split('\n').filter(line => line.trim());
-    
-    const peers = [];
-    let currentPeer = null;
-    
-    for (const line of lines) {
-      const trimmed = line.trim();
-      
-      if (trimmed.startsWith('peer:')) {
-        if (currentPeer) {
-          peers.push(currentPeer);
-        }
-        currentPeer = {
-          publicKey: trimmed.replace('peer:', '').trim(),
-          endpoint: null,
-          allowedIPs: null,
-          latestHandshake: null,
-          transfer: {
-            received: null,
-            sent: null
-          }
-        };
-      } else if (currentPeer) {
-        if (trimmed.startsWith('endpoint:')) {
-          currentPeer.endpoint = trimmed.replace('endpoint:', '').trim();
-        } else if (trimmed.startsWith('allowed ips:')) {
-          currentPeer.allowedIPs = trimmed.replace('allowed ips:', '').trim();
-        } else if (trimmed.startsWith('latest handshake:')) {
-          currentPeer.latestHandshake = trimmed.replace('latest handshake:', '').trim();
-        } else if (trimmed.startsWith('transfer:')) {
-          const transferMatch = trimmed.match(/transfer:\s*(\d+\.?\d*\s*\w+)\s*received,\s*(\d+\.?\d*\s*\w+)\s*sent/);
-          if (transferMatch) {
-            currentPeer.transfer.received = transferMatch[1].trim();
-            currentPeer.transfer.sent = transferMatch[2].trim();
-          }
-        }
-      }
-    }
-    
-    if (currentPeer) {
-      peers.push(currentPeer);
+    const result = await audited(httpOrigin(req), 'rollback_config', { interface: req.params.name, ...req.body }, [],
+      () => rollbackConfig(req.params.name, (req.body || {}).revision));
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        message: result.error || 'Failed to roll back config',
+        code: result.code
+      });
     }
-    
-    res.json({
-      success: true,
-      peers: peers,
-      count: peers.length
-    });
+    return res.json({ ...result, message: result.changed ? 'Config rolled back' : 'Config already matches this revision' });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      peers: [],
-      count: 0,
-      error: error.message
-    });
+    const failure = toErrorResult(error);
+    return res.status(failure.statusCode).json({ success: false, message: failure.error, code: failure.code });
   }
 });
 
-// POST /peers/add - Add peer (HTTP)
-app.post('/peers/add', async (req, res) => {
+// POST /interfaces/:name/start|stop|restart - Interface lifecycle
+app.post('/interfaces/:name/:action(start|stop|restart)', auth.requireScope(SCOPES.INTERFACES_WRITE), async (req, res) => {
   try {
-    const { publicKey, allowedIPs } = req.body || {};
-    if (!publicKey) {
-      return res.status(400).json({
+    const result = await audited(httpOrigin(req), `${req.params.action}_interface`, { interface: req.params.name }, [],
+      () => controlInterface(req.params.name, req.params.action));
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
         success: false,
-        message: 'publicKey is required'
+        message: result.error || `Failed to ${req.params.action} interface`,
+        code: result.code
       });
     }
+    return res.json({ ...result, message: `Interface ${result.interface}: ${result.action} done` });
+  } catch (error) {
+    const failure = toErrorResult(error);
+    return res.status(failure.statusCode).json({ success: false, message: failure.error, code: failure.code });
+  }
+});
+
+// GET /enrollment - Enrolled identity (server id, enrollment and rotation times; never the credential)
+app.get('/enrollment', auth.requireScope(SCOPES.READ), (req, res) => {
+  res.json({ success: true, ...enrollment.status() });
+});
 
-    const result = await addPeer(publicKey, allowedIPs);
+// POST /enrollment/rotate - Exchange the enrolled credential for a new one
+app.post('/enrollment/rotate', auth.requireScope(SCOPES.CREDENTIALS_WRITE), async (req, res) => {
+  try {
+    const result = await audited(httpOrigin(req), 'rotate_credentials', {}, [], () => rotateCredentials());
     if (!result.success) {
-      return res.status(500).json({
-        success: false,
-        message: result.error || 'Failed to add peer'
-      });
+      return res.status(result.statusCode || 500).json({ success: false, message: result.error, code: result.code });
     }
+    return res.json({ ...result, message: 'Credential rotated' });
+  } catch (error) {
+    const failure = toErrorResult(error);
+    return res.status(failure.statusCode).json({ success: false, message: failure.error, code: failure.code });
+  }
+});
 
-    return res.json({ success: true, message: 'Peer added' });
+// GET /firewall - Managed firewall state: drift found by the last check, IP forwarding, port forwards
+app.get('/firewall', auth.requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    res.json({ success: true, ...firewall.status(), forwards: await firewall.listForwards() });
   } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: error.message
-    });
+    res.status(500).json({ success: false, message: error.message });
   }
 });
 
-// POST /peers/remove - Remove peer (HTTP)
-app.post('/peers/remove', async (req, res) => {
+// POST /firewall/apply - Rewrite the agent's chains now (FIREWALL_MODE dry-run or apply)
+app.post('/firewall/apply', auth.requireScope(SCOPES.FIREWALL_WRITE), async (req, res) => {
   try {
-    const { publicKey } = req.body || {};
-    if (!publicKey) {
-      return res.status(400).json({
-        success: false,
-        message: 'publicKey is required'
-      });
+    const result = await audited(httpOrigin(req), 'apply_firewall', {}, [], () => applyFirewall());
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.error, code: result.code });
     }
+    return res.json(result);
+  } catch (error) {
+    const failure = toErrorResult(error);
+    return res.status(failure.statusCode).json({ success: false, message: failure.error, code: failure.code });
+  }
+});
+
+// GET /firewall/forwards - Port forwards with the peer address they point to
+app.get('/firewall/forwards', auth.requireScope(SCOPES.READ), async (req, res) => {
+  try {
+    res.json({ success: true, forwards: await firewall.listForwards() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-    const result = await removePeer(publicKey);
+// POST /firewall/forwards - Forward a public port to a peer: { publicKey, protocol: tcp|udp, port, targetPort? }
+app.post('/firewall/forwards', auth.requireScope(SCOPES.FIREWALL_WRITE), async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const result = await audited(httpOrigin(req), 'add_port_forward', payload, [payload.publicKey], () => addPortForward(payload));
     if (!result.success) {
-      return res.status(500).json({
-        success: false,
-        message: result.error || 'Failed to remove peer'
-      });
+      return res.status(result.statusCode || 500).json({ success: false, message: result.error, code: result.code });
     }
+    return res.status(201).json(result);
+  } catch (error) {
+    const failure = toErrorResult(error);
+    return res.status(failure.statusCode).json({ success: false, message: failure.error, code: failure.code });
+  }
+});
 
-    return res.json({ success: true, message: 'Peer removed' });
+// DELETE /firewall/forwards/:protocol/:port - Remove a port forward
+app.delete('/firewall/forwards/:protocol/:port', auth.requireScope(SCOPES.FIREWALL_WRITE), async (req, res) => {
+  try {
+    const payload = { protocol: req.params.protocol, port: req.params.port };
+    const result = await audited(httpOrigin(req), 'remove_port_forward', payload, [], () => removePortForward(payload));
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ success: false, message: result.error, code: result.code });
+    }
+    return res.json(result);
   } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: error.message
-    });
+    const failure = toErrorResult(error);
+    return res.status(failure.statusCode).json({ success: false, message: failure.error, code: failure.code });
   }
 });
 
-// GET /service - Get service status
-app.get('/service', async (req, res) => {
+// GET /service - Get service status (?interface= selects wg-quick@<iface>)
+app.get('/service', auth.requireScope(SCOPES.READ), async (req, res) => {
   try {
-    const { stdout } = await execAsync('systemctl is-active wg-quick@wg0');
-    const status = stdout.trim().toLowerCase();
+    const iface = await resolveInterface(req.query.interface);
+    const status = await wg.serviceState(iface);
     
     res.json({
       success: true,
+      interface: iface,
       service: status === 'active' ? 'running' : 'stopped'
     });
   } catch (error) {
-    // systemctl returns non-zero exit code if service is not active
-    if (error.code === 3 || error.code === 1) {
-      res.json({
-        success: true,
-        service: 'stopped'
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        service: 'stopped',
-        error: error.message
-      });
-    }
+    res.status(error instanceof ValidationError ? 400 : 500).json({
+      success: false,
+      service: 'stopped',
+      error: error.message
+    });
   }
 });
 
-// GET /port - Check UDP port
-app.get('/port', async (req, res) => {
+// GET /port - Check UDP port (?port=, or the listen port of ?interface= / the default interface)
+app.get('/port', auth.requireScope(SCOPES.READ), async (req, res) => {
+  let port = null;
   try {
-    const port = parseInt(req.query.port || '51820', 10);
-    
-    // Try ss command first
-    try {
-      const { stdout } = await execAsync(`ss -uln | grep :${port}`);
-      if (stdout && stdout.trim()) {
-        return res.json({
-          success: true,
-          udpListening: true,
-          port: port
-        });
-      }
-    } catch (ssError) {
-      // Try netstat
+    if (!req.query.port) {
       try {
-        const { stdout } = await execAsync(`netstat -uln | grep :${port}`);
-        if (stdout && stdout.trim()) {
-          return res.json({
-            success: true,
-            udpListening: true,
-            port: port
-          });
+        const iface = await wg.dump(await resolveInterface(req.query.interface));
+        port = iface.listenPort;
+      } catch (error) {
+        if (req.query.interface) {
+          throw error;
         }
-      } catch (netstatError) {
-        // Port not listening
       }
     }
+    port = wg.validatePort(port || req.query.port || config.wgDefaultPort);
+    const udpListening = await wg.isUdpPortListening(port);
     
     res.json({
       success: true,
-      udpListening: false,
+      udpListening: udpListening,
       port: port
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error instanceof ValidationError ? 400 : 500).json({
       success: false,
       udpListening: false,
-      port: parseInt(req.query.port || '51820', 10),
+      port: port,
       error: error.message
     });
   }
 });
 
+let heartbeatTimer = null;
+
+// (Re)arm the periodic heartbeat with the current interval
+function startHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = setInterval(async () => {
+    await sendHeartbeat();
+  }, config.heartbeatInterval);
+}
+
+// Settings that need more than the new value in the shared config object
+const RELOAD_ACTIONS = [
+  { keys: ['heartbeatInterval'], run: startHeartbeat },
+  {
+    keys: ['serverId', 'apiKey', 'backendUrl', 'wsUrl', 'commandTransport', 'wsPingInterval', 'wsReconnectBaseDelay', 'wsReconnectMaxDelay', 'wsFallbackAfter', 'pollInterval', 'backendTlsPins'],
+    backendCertificates: true, // reconnect with a renewed client certificate or CA bundle
+    run: restartCommandTransport
+  },
+  { keys: ['usageSampleInterval'], run: () => usage.start() },
+  { keys: ['systemSampleInterval', 'systemHistorySize'], run: () => !isWindows && system.start() },
+  { keys: ['peerSampleInterval'], run: () => !isWindows && sessions.start() },
+  { keys: ['reconcileMode', 'reconcileInterval'], run: () => reconciler.start() },
+  { keys: ['firewallMode', 'firewallInterval', 'firewallIsolatePeers', 'firewallUplink', 'firewallEnableForwarding'], run: () => !isWindows && firewall.start() },
+  {
+    keys: ['watchdogEnabled', 'watchdogInterval'],
+    run: () => (config.watchdogEnabled && !isWindows ? watchdog.start() : watchdog.stop())
+  }
+];
+
+// SIGHUP: read the config file, environment and certificate files again and apply
+// what changed. An invalid configuration is reported and the running one is kept.
+async function reloadConfig() {
+  const { config: next, errors, file } = configLoader.loadConfig({ file: configSource.file });
+  enrollment.overlay(next);
+  let certificates = null;
+  if (!errors.length) {
+    try {
+      // Paths that need a restart keep their current value
+      certificates = tlsFiles.read({ ...next, agentTlsCert: config.agentTlsCert, agentTlsKey: config.agentTlsKey });
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  if (errors.length) {
+    errors.forEach(error => console.error(`❌ Config reload rejected: ${error}`));
+    return;
+  }
+
+  const changed = configLoader.changedSettings(config, next);
+  const restartOnly = changed.filter(key => configLoader.SETTINGS[key].reload === false);
+  const applied = changed.filter(key => !restartOnly.includes(key));
+  restartOnly.forEach(key => console.warn(`⚠️  ${configLoader.SETTINGS[key].env} changed; restart the agent to apply it`));
+
+  await audited(agentOrigin('sighup'), 'reload_config', { file, changed: applied }, [], async () => {
+    applied.forEach(key => {
+      config[key] = next[key];
+    });
+    const renewed = tlsFiles.apply(certificates);
+    if (renewed.server) {
+      console.log('🔒 Agent API certificate reloaded');
+    }
+    if (renewed.backend) {
+      console.log('🔒 Backend TLS certificates reloaded');
+    }
+    for (const action of RELOAD_ACTIONS) {
+      if (action.keys.some(key => applied.includes(key)) || (action.backendCertificates && renewed.backend)) {
+        action.run();
+      }
+    }
+    return { success: true, changed: applied, certificates: renewed };
+  });
+  console.log(applied.length ? `🔁 Configuration reloaded: ${applied.join(', ')}` : '🔁 Configuration reloaded, no setting changed');
+}
+
 // Main agent loop
 async function startAgent() {
   console.log('🚀 Vexira VPN Agent starting...');
   console.log(`🖥️  Platform: ${process.platform}${isWindows ? ' (Windows - WireGuard commands will not work)' : ''}`);
   console.log(`📡 Backend URL: ${config.backendUrl}`);
-  console.log(`🆔 Server ID: ${config.serverId}`);
+  
+  // Enroll with ENROLL_TOKEN (waits for the backend) or pick up stored credentials
+  try {
+    await enrollment.start();
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+  console.log(`🆔 Server ID: ${config.serverId}${enrollment.status().enrolled ? ' (enrolled)' : ''}`);
   console.log(`⏱️  Heartbeat interval: ${config.heartbeatInterval / 1000}s`);
   console.log(`🌐 HTTP Server port: ${config.agentPort}`);
+  console.log(`🔧 WireGuard interfaces: ${config.wgInterfaces.length > 0 ? config.wgInterfaces.join(', ') : 'auto-discover'}`);
   
   // Check WireGuard installation
   if (!isWindows) {
@@ -715,42 +2270,93 @@ async function startAgent() {
     console.log(`⚠️  Note: Running on Windows. WireGuard commands require Linux. System metrics will be limited.`);
   }
   
+  // Know every peer before anything can change them (HTTP API, backend commands)
+  if (!isWindows) {
+    await importPeers().catch(error => console.error(`❌ Peer import failed: ${error.message}`));
+    console.log(`📝 Interface configs: ${config.wgConfigMode === 'agent' ? `rendered by the agent in ${config.wgConfigDir}` : 'saved with wg-quick save'}`);
+  }
+  
   // Start HTTP server
-  app.listen(config.agentPort, '0.0.0.0', () => {
-    console.log(`✅ Agent HTTP server listening on port ${config.agentPort}`);
-    console.log(`   Endpoints: /status, /health, /peers, /service, /port`);
+  if (config.authDisabled) {
+    console.log('⚠️  Agent API authentication is DISABLED (AGENT_AUTH_DISABLED=true)');
+  } else if (!auth.isConfigured()) {
+    console.log('⚠️  No agent API keys configured (AGENT_API_KEYS / API_KEY): all HTTP requests will be rejected');
+  }
+  if (tlsFiles.isServerEnabled()) {
+    console.log(`🔒 Agent API served over HTTPS (client certificates: ${config.agentTlsClientAuth})`);
+  }
+  tlsFiles.createServer(app).listen(config.agentPort, config.agentHost, () => {
+    console.log(`✅ Agent ${tlsFiles.isServerEnabled() ? 'HTTPS' : 'HTTP'} server listening on ${config.agentHost}:${config.agentPort}`);
+    console.log(`   Endpoints: /status, /health, /metrics, /system, /peers, /ipam, /usage, /expirations, /reconcile, /sessions, /events, /audit, /enrollment, /firewall, /interfaces/:name, /service, /port`);
   });
   
+  // Sample CPU, memory, network and disk in the background (needs /proc)
+  if (!isWindows) {
+    system.start();
+  }
+  
+  // Replay anything queued for the backend during a previous outage
+  await outbox.start();
+  
+  // Start traffic accounting (also restores peers whose quota period rolled over)
+  usage.start();
+  console.log(`📊 Traffic sampling every ${config.usageSampleInterval / 1000}s, quota enforcement ${config.quotaEnforcement ? 'ON' : 'OFF'}`);
+  
+  // Follow peers coming online and going quiet
+  if (!isWindows) {
+    sessions.start();
+    console.log(`👥 Peer sessions sampled every ${config.peerSampleInterval / 1000}s (idle after ${config.peerIdleAfter}s, disconnected after ${config.peerDisconnectAfter}s)`);
+  }
+  
+  // Remove peers whose time is up, including any that expired while the agent was down
+  await expirySchedule.start();
+  
   // Send initial heartbeat
   await sendHeartbeat();
   
-  // Connect WebSocket if configured
-  if (config.wsUrl) {
-    connectWebSocket();
+  // Periodic reconciliation against the backend's peer list
+  if (config.reconcileMode !== 'off') {
+    console.log(`🔄 Reconciliation ${config.reconcileMode} every ${config.reconcileInterval / 1000}s`);
+  }
+  reconciler.start();
+  
+  // Restart interfaces that stay down
+  if (config.watchdogEnabled && !isWindows) {
+    watchdog.start();
+    console.log(`🩺 Watchdog checks every ${config.watchdogInterval / 1000}s, restart after ${config.watchdogFailureThreshold} failed check(s), at most ${config.watchdogMaxRestarts} restart(s)`);
+  }
+  
+  // Keep NAT, forwarding and port forward rules in place
+  if (config.firewallMode !== 'off' && !isWindows) {
+    firewall.start();
+    console.log(`🧱 Firewall ${config.firewallMode} every ${config.firewallInterval / 1000}s${config.firewallIsolatePeers ? ', peers isolated' : ''}`);
   }
   
+  // Receive backend commands over WebSocket and/or HTTP polling
+  startCommandTransport();
+  
   // Set up periodic heartbeat
-  setInterval(async () => {
-    await sendHeartbeat();
-  }, config.heartbeatInterval);
+  startHeartbeat();
   
   console.log('✅ Agent is running. Press Ctrl+C to stop.');
 }
 
+process.on('SIGHUP', () => {
+  reloadConfig().catch(error => console.error(`❌ Config reload failed: ${error.message}`));
+});
+
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down agent...');
-  if (wsConnection) {
-    wsConnection.close();
-  }
+  commandSocket.close();
+  commandPoller.stop();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   console.log('\n🛑 Shutting down agent...');
-  if (wsConnection) {
-    wsConnection.close();
-  }
+  commandSocket.close();
+  commandPoller.stop();
   process.exit(0);
 });
 
@@ -0,0 +1,181 @@
+// Audit log of mutating actions
+//
+// Every peer change and control action is appended to DATA_DIR/audit/audit.log
+// as one JSON line: when, through which transport (http, websocket, polling or
+// the agent itself), by whom, the command and its parameters, the state of the
+// affected peers before and after, and the outcome. Secrets in parameters are
+// hidden. The file is rotated at AUDIT_MAX_BYTES into audit.log.1, .2, ... and
+// at most AUDIT_MAX_FILES files are kept.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { createWriteQueue } = require('./store');
+const { ValidationError } = require('./errors');
+
+const SECRET_FIELDS = ['presharedKey', 'privateKey', 'secret', 'token', 'credential', 'apiKey', 'enrollToken'];
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+// Copy of the parameters with secrets replaced
+function redactParams(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactParams);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_FIELDS.includes(key) && item ? '(hidden)' : redactParams(item)
+  ]));
+}
+
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new ValidationError(`${name} must be an ISO 8601 date`, 'INVALID_DATE');
+  }
+  return time;
+}
+
+// Validate GET /audit filters
+function normalizeQuery(query = {}) {
+  const limit = query.limit === undefined ? DEFAULT_QUERY_LIMIT : parseInt(query.limit, 10);
+  if (!(limit > 0) || limit > MAX_QUERY_LIMIT) {
+    throw new ValidationError(`limit must be between 1 and ${MAX_QUERY_LIMIT}`, 'INVALID_LIMIT');
+  }
+  const list = value => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return {
+    publicKey: query.publicKey || null,
+    actions: list(query.action),
+    sources: list(query.source),
+    caller: query.caller || null,
+    from: parseTime(query.from, 'from'),
+    to: parseTime(query.to, 'to'),
+    limit
+  };
+}
+
+function matches(entry, filters) {
+  const at = Date.parse(entry.at);
+  return (!filters.publicKey || entry.peers.some(peer => peer.publicKey === filters.publicKey))
+    && (!filters.actions.length || filters.actions.includes(entry.action))
+    && (!filters.sources.length || filters.sources.includes(entry.source))
+    && (!filters.caller || entry.caller === filters.caller)
+    && (filters.from === null || at >= filters.from)
+    && (filters.to === null || at <= filters.to);
+}
+
+// options:
+//   config  - agent config (dataDir, auditMaxBytes, auditMaxFiles)
+//   forward - (entry) => void; called for every recorded entry (backend forwarding)
+function createAuditLog({ config, forward }) {
+  const queue = createWriteQueue();
+  let size = null;
+
+  const dir = () => path.join(config.dataDir, 'audit');
+  const file = (index = 0) => path.join(dir(), index ? `audit.log.${index}` : 'audit.log');
+
+  async function currentSize() {
+    if (size === null) {
+      try {
+        size = (await fs.promises.stat(file())).size;
+      } catch (error) {
+        size = 0;
+      }
+    }
+    return size;
+  }
+
+  // audit.log -> audit.log.1 -> audit.log.2 ...; the oldest file is dropped
+  async function rotate() {
+    await fs.promises.unlink(file(config.auditMaxFiles - 1)).catch(() => {});
+    for (let index = config.auditMaxFiles - 2; index >= 0; index -= 1) {
+      await fs.promises.rename(file(index), file(index + 1)).catch(() => {});
+    }
+    size = 0;
+  }
+
+  async function append(line) {
+    await fs.promises.mkdir(dir(), { recursive: true, mode: 0o700 });
+    if (await currentSize() > 0 && size + Buffer.byteLength(line) > config.auditMaxBytes) {
+      await rotate();
+    }
+    await fs.promises.appendFile(file(), line, { mode: 0o600 });
+    size += Buffer.byteLength(line);
+  }
+
+  // Append one entry; resolves the stored entry. Write failures are logged, never thrown:
+  // the action itself has already happened.
+  async function record(fields) {
+    const entry = {
+      id: crypto.randomBytes(8).toString('hex'),
+      at: new Date().toISOString(),
+      ...fields,
+      params: redactParams(fields.params || {})
+    };
+    try {
+      await queue(() => append(`${JSON.stringify(entry)}\n`));
+    } catch (error) {
+      console.error(`❌ Failed to write audit entry ${entry.action}: ${error.message}`);
+    }
+    if (forward) {
+      forward(entry);
+    }
+    return entry;
+  }
+
+  async function readFile(name, filters, found) {
+    let stream;
+    try {
+      await fs.promises.access(name);
+      stream = fs.createReadStream(name, { encoding: 'utf8' });
+    } catch (error) {
+      return;
+    }
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (matches(entry, filters)) {
+          found.push(entry);
+          // Files are read oldest first; only the newest matches are returned
+          if (found.length > filters.limit) {
+            found.shift();
+          }
+        }
+      } catch (error) {
+        // a line cut short by a crash; skip it
+      }
+    }
+  }
+
+  // Matching entries, newest first
+  async function query(raw = {}) {
+    const filters = normalizeQuery(raw);
+    const found = [];
+    for (let index = config.auditMaxFiles - 1; index >= 0; index -= 1) {
+      await readFile(file(index), filters, found);
+    }
+    return found.reverse();
+  }
+
+  return {
+    record,
+    query
+  };
+}
+
+module.exports = {
+  redactParams,
+  normalizeQuery,
+  createAuditLog
+};
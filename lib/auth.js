@@ -0,0 +1,214 @@
+// Authentication for the agent's own HTTP API
+//
+// Two schemes are accepted:
+//   1. API key:  "X-API-Key: <secret>" or "Authorization: Bearer <secret>"
+//   2. HMAC:     X-Key-Id, X-Timestamp, X-Nonce and X-Signature headers, where
+//                X-Signature = hex(HMAC-SHA256(secret, canonical request))
+//
+// The canonical request is:
+//   <timestamp>\n<nonce>\n<METHOD>\n<originalUrl>\n<hex sha256 of raw body>
+//
+// Keys are configured as "id:secret:scope|scope" entries separated by commas.
+
+const crypto = require('crypto');
+
+// Known scopes. "*" grants everything.
+const SCOPES = {
+  READ: 'read',
+  PEERS_WRITE: 'peers:write',
+  INTERFACES_WRITE: 'interfaces:write',
+  AUDIT_READ: 'audit:read',
+  CREDENTIALS_WRITE: 'credentials:write',
+  FIREWALL_WRITE: 'firewall:write'
+};
+
+const SIGNATURE_WINDOW_SECONDS = 300;
+
+// Parse "id:secret:scope|scope,id2:secret2:read" into key records
+function parseApiKeys(raw) {
+  if (!raw) {
+    return [];
+  }
+
+  return raw
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const parts = entry.split(':');
+      if (parts.length < 2 || !parts[0] || !parts[1]) {
+        throw new Error(`Invalid API key entry "${parts[0] || entry}": expected id:secret[:scopes]`);
+      }
+      // Scope names contain ":" themselves ("peers:write")
+      const scopeList = parts.slice(2).join(':');
+      const scopes = scopeList ? scopeList.split('|').map(s => s.trim()).filter(Boolean) : [SCOPES.READ];
+      return { id: parts[0], secret: parts[1], scopes };
+    });
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data || '').digest('hex');
+}
+
+// Build the string that HMAC-signed requests sign
+function canonicalRequest({ timestamp, nonce, method, url, body }) {
+  return [timestamp, nonce, method.toUpperCase(), url, sha256Hex(body)].join('\n');
+}
+
+function signRequest(secret, request) {
+  return crypto.createHmac('sha256', secret).update(canonicalRequest(request)).digest('hex');
+}
+
+function hasScope(scopes, required) {
+  return scopes.includes('*') || scopes.includes(required);
+}
+
+// Create authentication middleware bound to the agent configuration.
+// Keys are re-read from config on every request so a config reload takes effect.
+function createAuth(config) {
+  const seenNonces = new Map(); // nonce -> expiry (ms)
+  let cachedRaw = null;
+  let cachedKeys = [];
+
+  function getKeys() {
+    const raw = `${config.apiKeys || ''}\u0000${config.apiKey || ''}`;
+    if (raw !== cachedRaw) {
+      const keys = parseApiKeys(config.apiKeys);
+      // The legacy single API_KEY keeps working as a full-access key
+      if (config.apiKey && !keys.some(k => k.secret === config.apiKey)) {
+        keys.push({ id: 'default', secret: config.apiKey, scopes: ['*'] });
+      }
+      cachedKeys = keys;
+      cachedRaw = raw;
+    }
+    return cachedKeys;
+  }
+
+  function pruneNonces(now) {
+    for (const [nonce, expiresAt] of seenNonces) {
+      if (expiresAt <= now) {
+        seenNonces.delete(nonce);
+      }
+    }
+  }
+
+  function verifyApiKey(secret) {
+    return getKeys().find(key => safeEqual(key.secret, secret)) || null;
+  }
+
+  function verifySignature(req) {
+    const keyId = req.get('X-Key-Id');
+    const timestamp = req.get('X-Timestamp');
+    const nonce = req.get('X-Nonce');
+    const signature = req.get('X-Signature');
+
+    if (!keyId || !timestamp || !nonce || !signature) {
+      return { error: 'Incomplete signature headers' };
+    }
+
+    const key = getKeys().find(k => k.id === keyId);
+    if (!key) {
+      return { error: 'Unknown key id' };
+    }
+
+    const ts = parseInt(timestamp, 10);
+    const now = Date.now();
+    if (!Number.isFinite(ts) || Math.abs(now / 1000 - ts) > SIGNATURE_WINDOW_SECONDS) {
+      return { error: 'Request timestamp outside allowed window' };
+    }
+
+    pruneNonces(now);
+    const nonceKey = `${key.id}:${nonce}`;
+    if (seenNonces.has(nonceKey)) {
+      return { error: 'Nonce has already been used' };
+    }
+
+    const expected = signRequest(key.secret, {
+      timestamp,
+      nonce,
+      method: req.method,
+      url: req.originalUrl,
+      body: req.rawBody
+    });
+    if (!safeEqual(expected, signature.toLowerCase())) {
+      return { error: 'Invalid signature' };
+    }
+
+    seenNonces.set(nonceKey, now + SIGNATURE_WINDOW_SECONDS * 2 * 1000);
+    return { key };
+  }
+
+  // Identify the caller; sets req.auth or responds 401
+  function authenticate(req, res, next) {
+    if (config.authDisabled) {
+      req.auth = { keyId: 'anonymous', scopes: ['*'], method: 'none' };
+      return next();
+    }
+
+    let key = null;
+    let method = null;
+
+    if (req.get('X-Signature')) {
+      const result = verifySignature(req);
+      if (result.error) {
+        return res.status(401).json({ success: false, message: result.error });
+      }
+      key = result.key;
+      method = 'hmac';
+    } else {
+      const authHeader = req.get('Authorization') || '';
+      const bearer = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+      const secret = req.get('X-API-Key') || bearer;
+      if (!secret) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+      }
+      key = verifyApiKey(secret);
+      if (!key) {
+        return res.status(401).json({ success: false, message: 'Invalid API key' });
+      }
+      method = 'api-key';
+    }
+
+    req.auth = { keyId: key.id, scopes: key.scopes, method };
+    return next();
+  }
+
+  // Require a scope on an already-authenticated request; responds 403 otherwise
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.auth || !hasScope(req.auth.scopes, scope)) {
+        return res.status(403).json({
+          success: false,
+          message: `Insufficient permissions: "${scope}" scope required`
+        });
+      }
+      return next();
+    };
+  }
+
+  // True when at least one key is configured (or auth is explicitly disabled)
+  function isConfigured() {
+    return config.authDisabled || getKeys().length > 0;
+  }
+
+  return { authenticate, requireScope, isConfigured };
+}
+
+module.exports = {
+  SCOPES,
+  parseApiKeys,
+  signRequest,
+  canonicalRequest,
+  hasScope,
+  createAuth
+};
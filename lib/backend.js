@@ -0,0 +1,55 @@
+// HTTP client for the backend API
+//
+// Adds the agent's API key and a timeout to every request. Reads config on each
+// call so a changed backend URL or key takes effect immediately. HTTPS requests
+// use the TLS manager's agent (client certificate, CA bundle, pins) when given.
+
+const axios = require('axios');
+
+const REQUEST_TIMEOUT = 10000;
+
+function createBackendClient(config, { tls } = {}) {
+  function headers() {
+    const result = {};
+    if (config.apiKey) {
+      result['X-API-Key'] = config.apiKey;
+    }
+    return result;
+  }
+
+  async function request(method, path, { data, params, timeout = REQUEST_TIMEOUT } = {}) {
+    const response = await axios.request({
+      method,
+      url: `${config.backendUrl}${path}`,
+      data,
+      params,
+      headers: headers(),
+      timeout,
+      httpsAgent: tls ? tls.backendAgent() : undefined
+    });
+    return response.data;
+  }
+
+  return {
+    get: (path, options = {}) => request('get', path, options),
+    post: (path, data, options = {}) => request('post', path, { ...options, data }),
+    headers
+  };
+}
+
+// Human-readable description of a failed backend request
+function describeError(error, config) {
+  if (error.response) {
+    return `${error.response.status} - ${(error.response.data && error.response.data.message) || error.message}`;
+  }
+  if (error.request) {
+    // Connection and TLS failures (refused, certificate or pin mismatch) keep their reason
+    return `No response from backend (${config.backendUrl})${error.code === 'ECONNABORTED' ? '' : `: ${error.message}`}`;
+  }
+  return error.message;
+}
+
+module.exports = {
+  createBackendClient,
+  describeError
+};
@@ -0,0 +1,178 @@
+// Batch peer operations
+//
+// A batch is a list of add / update / remove operations for one interface. The
+// whole list is validated and planned (addresses checked and allocated) before
+// anything changes; the agent then applies it as a single change and persists it
+// once. If any operation fails, nothing is applied and every item reports why.
+
+const wg = require('./wireguard');
+const ipam = require('./ipam');
+const { parseExpiresAt } = require('./expiry');
+const { validateUserId, validateLabels } = require('./peerstore');
+const { ValidationError, ConflictError, AgentError } = require('./errors');
+
+const OPERATIONS = ['add', 'update', 'remove'];
+
+// Validate one batch item; fields that are not given stay undefined (unchanged)
+function normalizeOperation(item) {
+  if (!item || typeof item !== 'object') {
+    throw new ValidationError('Operation must be an object', 'INVALID_OPERATION');
+  }
+  if (!OPERATIONS.includes(item.op)) {
+    throw new ValidationError(`op must be one of: ${OPERATIONS.join(', ')}`, 'INVALID_OPERATION');
+  }
+  const operation = { op: item.op, publicKey: wg.validatePublicKey(item.publicKey) };
+  if (item.op === 'remove') {
+    return operation;
+  }
+
+  operation.allowedIPs = item.allowedIPs ? wg.validateAllowedIPs(item.allowedIPs) : undefined;
+  if (item.presharedKey) {
+    operation.presharedKey = wg.validateKey(item.presharedKey, 'presharedKey');
+  } else if (item.presharedKey === null && item.op === 'update') {
+    operation.presharedKey = null; // removes it; an add without one keeps the current key
+  }
+  if (item.userId !== undefined) {
+    operation.userId = validateUserId(item.userId);
+  }
+  if (item.labels !== undefined) {
+    operation.labels = validateLabels(item.labels);
+  }
+  if (item.expiresAt !== undefined) {
+    operation.expiresAt = item.expiresAt === null ? null : parseExpiresAt(item.expiresAt);
+  }
+  return operation;
+}
+
+// Per-item report entry for an operation that failed
+function failure(index, item, error) {
+  return {
+    index,
+    op: (item && item.op) || null,
+    publicKey: (item && item.publicKey) || null,
+    status: 'failed',
+    error: error.message,
+    code: error instanceof AgentError ? error.code : 'INTERNAL_ERROR'
+  };
+}
+
+// Validate a whole batch. Resolves { operations, results }; results holds one
+// entry per item and an error for every invalid one.
+function normalizeBatch(list, maxSize) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new ValidationError('operations must be a non-empty array', 'INVALID_BATCH');
+  }
+  if (list.length > maxSize) {
+    throw new ValidationError(`A batch may contain at most ${maxSize} operations`, 'BATCH_TOO_LARGE');
+  }
+
+  const seen = new Set();
+  const operations = [];
+  const results = list.map((item, index) => {
+    try {
+      const operation = normalizeOperation(item);
+      if (seen.has(operation.publicKey)) {
+        throw new ValidationError('Peer appears more than once in the batch', 'DUPLICATE_PEER');
+      }
+      seen.add(operation.publicKey);
+      operations.push({ index, ...operation });
+      return { index, op: operation.op, publicKey: operation.publicKey, status: 'pending' };
+    } catch (error) {
+      return failure(index, item, error);
+    }
+  });
+  return { operations, results };
+}
+
+// Resolve the allowed IPs of every operation against the interface's peers.
+//   peers  - current peers of the interface ({ publicKey, allowedIPs }), including disabled ones
+//   plan   - () => address plan ({ pools, excluded }); only loaded when something needs allocating
+// Resolves the operations with allowedIPs / allocated / existed filled in, and an
+// error per failed operation (keyed by index).
+async function planBatch(operations, { peers, plan }) {
+  const removed = new Set(operations.filter(item => item.op === 'remove').map(item => item.publicKey));
+  const current = new Map(peers.map(peer => [peer.publicKey, peer]));
+  // Addresses other peers hold once the batch is applied; planned operations are added as they resolve
+  const occupied = peers.filter(peer => !removed.has(peer.publicKey));
+  const planned = [];
+  const errors = new Map();
+  let addressPlan = null;
+
+  for (const operation of operations) {
+    const existing = current.get(operation.publicKey) || null;
+    try {
+      if (operation.op !== 'add' && !existing) {
+        throw new AgentError(`Peer ${operation.publicKey.substring(0, 16)}... not found`, { code: 'PEER_NOT_FOUND', statusCode: 404 });
+      }
+      if (operation.op === 'remove') {
+        planned.push({ ...operation, existed: true, allowedIPs: existing.allowedIPs });
+        continue;
+      }
+
+      let allowedIPs = operation.allowedIPs;
+      let allocated = false;
+      if (allowedIPs) {
+        const conflicts = ipam.findConflicts(allowedIPs, occupied, operation.publicKey);
+        if (conflicts.length > 0) {
+          const first = conflicts[0];
+          throw new ConflictError(
+            `Allowed IP ${first.requested} conflicts with ${first.allowedIP} of peer ${first.publicKey.substring(0, 16)}...`,
+            'ADDRESS_CONFLICT'
+          );
+        }
+      } else if (existing && existing.allowedIPs.length > 0) {
+        allowedIPs = existing.allowedIPs;
+      } else {
+        addressPlan = addressPlan || await plan();
+        allowedIPs = ipam.allocate({
+          pools: addressPlan.pools,
+          used: occupied.flatMap(peer => peer.allowedIPs),
+          excluded: addressPlan.excluded
+        });
+        allocated = true;
+      }
+
+      // Later operations must not take these addresses
+      const index = occupied.findIndex(peer => peer.publicKey === operation.publicKey);
+      if (index >= 0) {
+        occupied.splice(index, 1);
+      }
+      occupied.push({ publicKey: operation.publicKey, allowedIPs });
+      planned.push({ ...operation, existed: Boolean(existing), allowedIPs, allocated });
+    } catch (error) {
+      errors.set(operation.index, error);
+    }
+  }
+  return { planned, errors };
+}
+
+// Apply planned operations to a peer list (as parsed from a config); peers that
+// are updated keep the settings the operation does not mention
+function applyToPeers(peers, planned) {
+  const next = new Map(peers.map(peer => [peer.publicKey, { ...peer }]));
+  for (const operation of planned) {
+    if (operation.op === 'remove') {
+      next.delete(operation.publicKey);
+      continue;
+    }
+    const existing = next.get(operation.publicKey);
+    if (!existing && operation.op === 'update') {
+      continue; // known to the agent but not on the interface (disabled)
+    }
+    const peer = existing || { publicKey: operation.publicKey, presharedKey: null, persistentKeepalive: null, endpoint: null };
+    peer.allowedIPs = operation.allowedIPs;
+    if (operation.presharedKey !== undefined) {
+      peer.presharedKey = operation.presharedKey;
+    }
+    next.set(operation.publicKey, peer);
+  }
+  return Array.from(next.values());
+}
+
+module.exports = {
+  OPERATIONS,
+  failure,
+  normalizeBatch,
+  planBatch,
+  applyToPeers
+};
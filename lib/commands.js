@@ -0,0 +1,123 @@
+// Backend command protocol
+//
+// Commands arrive in a versioned envelope:
+//   { v: 1, id: "<unique id>", type: "add_peer", payload: { ... } }
+//
+// and are answered with:
+//   { v: 1, type: "ack",    id }                                   on receipt
+//   { v: 1, type: "result", id, command, success: true, data }    on success
+//   { v: 1, type: "error",  id, command, error: { code, message } } on failure
+//
+// Handlers return the agent's usual { success, ... } result objects. Results are
+// remembered by id for a while, so a retried command is answered from the cache
+// instead of being applied twice.
+
+const PROTOCOL_VERSION = 1;
+const IDEMPOTENCY_TTL = 10 * 60 * 1000;
+const IDEMPOTENCY_MAX_ENTRIES = 1000;
+
+// Split a handler result into data and error parts
+function normalizeResult(result) {
+  if (result && result.success === false) {
+    return {
+      success: false,
+      error: { code: result.code || 'COMMAND_FAILED', message: result.error || result.message || 'Command failed' }
+    };
+  }
+  const data = { ...(result || {}) };
+  delete data.success;
+  delete data.statusCode;
+  return { success: true, data };
+}
+
+function createCommandDispatcher() {
+  const handlers = new Map();
+  const recent = new Map(); // id -> { promise, expiresAt }
+
+  function register(type, handler) {
+    handlers.set(type, handler);
+  }
+
+  function prune(now) {
+    for (const [id, entry] of recent) {
+      if (entry.expiresAt <= now) {
+        recent.delete(id);
+      }
+    }
+    // Map iteration order is insertion order: drop the oldest first
+    while (recent.size > IDEMPOTENCY_MAX_ENTRIES) {
+      recent.delete(recent.keys().next().value);
+    }
+  }
+
+  async function execute(type, payload, context) {
+    const handler = handlers.get(type);
+    if (!handler) {
+      return { success: false, error: { code: 'UNKNOWN_COMMAND', message: `Unknown command type "${type}"` } };
+    }
+    try {
+      return normalizeResult(await handler(payload || {}, context));
+    } catch (error) {
+      return {
+        success: false,
+        error: { code: error.code || 'INTERNAL_ERROR', message: error.message }
+      };
+    }
+  }
+
+  // Run a command once per id. Resolves { success, data | error, duplicate }.
+  async function dispatch({ id = null, type, payload }, context = {}) {
+    if (!id) {
+      return { ...(await execute(type, payload, context)), duplicate: false };
+    }
+
+    const now = Date.now();
+    prune(now);
+    const cached = recent.get(id);
+    if (cached) {
+      return { ...(await cached.promise), duplicate: true };
+    }
+
+    const promise = execute(type, payload, { ...context, id });
+    recent.set(id, { promise, expiresAt: now + IDEMPOTENCY_TTL });
+    return { ...(await promise), duplicate: false };
+  }
+
+  // Build the reply envelope for a dispatched command
+  function reply(id, type, outcome) {
+    if (outcome.success) {
+      return { v: PROTOCOL_VERSION, type: 'result', id, command: type, success: true, duplicate: outcome.duplicate, data: outcome.data };
+    }
+    return { v: PROTOCOL_VERSION, type: 'error', id, command: type, success: false, duplicate: outcome.duplicate, error: outcome.error };
+  }
+
+  return {
+    register,
+    dispatch,
+    reply,
+    types: () => Array.from(handlers.keys())
+  };
+}
+
+// Validate an incoming versioned envelope; returns an error message or null
+function validateEnvelope(message) {
+  if (message.v !== PROTOCOL_VERSION) {
+    return `Unsupported protocol version ${message.v}`;
+  }
+  if (typeof message.id !== 'string' || !message.id || message.id.length > 128) {
+    return 'Envelope id must be a non-empty string';
+  }
+  if (typeof message.type !== 'string' || !message.type) {
+    return 'Envelope type is required';
+  }
+  if (message.payload !== undefined && (typeof message.payload !== 'object' || message.payload === null || Array.isArray(message.payload))) {
+    return 'Envelope payload must be an object';
+  }
+  return null;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  createCommandDispatcher,
+  validateEnvelope
+};
@@ -0,0 +1,324 @@
+// Agent configuration
+//
+// Every setting is declared once in SETTINGS with its environment variable,
+// type, default and constraints. Values are layered:
+//
+//   defaults  <  config file (JSON or YAML)  <  environment variables (and .env)
+//
+// The config file is given with --config <path> or CONFIG_FILE and defaults to
+// /etc/vexira-agent/config.json when that exists. Files ending in .yaml or .yml
+// are read as YAML, everything else as JSON. File keys are the setting
+// names below (e.g. "heartbeatInterval"); durations are in seconds, as in the
+// environment. Every problem is collected so startup can report them all at once.
+//
+// Settings marked reload: false (listen address, data directory) need a restart;
+// everything else can be changed with SIGHUP.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const wg = require('./wireguard');
+const ipam = require('./ipam');
+const health = require('./health');
+const reconcile = require('./reconcile');
+const wgconfig = require('./wgconfig');
+const { validateDnsList } = require('./provision');
+const { parseApiKeys } = require('./auth');
+const tls = require('./tls');
+const firewall = require('./firewall');
+
+const DEFAULT_CONFIG_FILE = '/etc/vexira-agent/config.json';
+const COMMAND_TRANSPORTS = ['auto', 'websocket', 'polling', 'off'];
+
+// Setting builders. options: min, max, values, secret, reload, validate (throws on bad values)
+const string = (env, fallback, options = {}) => ({ env, type: 'string', default: fallback, ...options });
+const oneOf = (env, values, fallback, options = {}) => ({ env, type: 'string', values, default: fallback, ...options });
+const list = (env, fallback, options = {}) => ({ env, type: 'list', default: fallback, ...options });
+const int = (env, fallback, options = {}) => ({ env, type: 'int', default: fallback, ...options });
+const float = (env, fallback, options = {}) => ({ env, type: 'float', default: fallback, ...options });
+const bool = (env, fallback, options = {}) => ({ env, type: 'bool', default: fallback, ...options });
+// Given in seconds, kept in milliseconds
+const seconds = (env, fallback, options = {}) => ({ env, type: 'int', seconds: true, min: 1, default: fallback, ...options });
+
+const SETTINGS = {
+  backendUrl: string('BACKEND_URL', 'http://localhost:5000'),
+  serverId: string('SERVER_ID', ''), // Not needed once the agent has enrolled (ENROLL_TOKEN)
+  enrollToken: string('ENROLL_TOKEN', '', { secret: true }), // One-time token; the agent registers itself (see lib/enrollment.js)
+  serverCapacity: int('SERVER_CAPACITY', null, { min: 0 }), // Peers this server should carry, reported at enrollment
+  credentialRotateDays: int('CREDENTIAL_ROTATE_DAYS', 30, { min: 0 }), // Age of the enrolled credential before it is rotated; 0 disables
+  heartbeatInterval: seconds('HEARTBEAT_INTERVAL', 30),
+  apiKey: string('API_KEY', '', { secret: true }), // API key sent to the backend; also accepted as a full-access agent key
+  apiKeys: string('AGENT_API_KEYS', '', { secret: true, validate: parseApiKeys }), // Agent API keys: "id:secret:scope|scope,..."
+  authDisabled: bool('AGENT_AUTH_DISABLED', false), // Serve the agent API without authentication (not recommended)
+  wsUrl: string('WS_URL', null), // Optional WebSocket URL for real-time commands
+  wsPingInterval: seconds('WS_PING_INTERVAL', 30), // Liveness ping; no pong within one interval drops the connection
+  wsReconnectBaseDelay: seconds('WS_RECONNECT_BASE_DELAY', 1), // First reconnect delay, doubled per attempt
+  wsReconnectMaxDelay: seconds('WS_RECONNECT_MAX_DELAY', 60),
+  // How commands reach the agent: auto (WebSocket with HTTP polling fallback) | websocket | polling | off
+  commandTransport: oneOf('COMMAND_TRANSPORT', COMMAND_TRANSPORTS, 'auto'),
+  wsFallbackAfter: int('WS_FALLBACK_AFTER', 3, { min: 1 }), // Failed WebSocket attempts before polling takes over (auto)
+  pollInterval: seconds('POLL_INTERVAL', 10), // Pause between command polls
+  pollWait: int('POLL_WAIT', 0, { min: 0 }), // Seconds the backend may hold a poll open (long polling); 0 disables
+  // WireGuard interfaces to manage; empty means discover them with "wg show interfaces"
+  wgInterfaces: list('WG_INTERFACES', [], { validate: names => names.forEach(wg.validateInterfaceName) }),
+  wgDefaultPort: int('WG_DEFAULT_PORT', 51820, { min: 1, max: 65535 }), // GET /port when no interface can be read
+  addressPools: string('WG_ADDRESS_POOLS', '', { validate: ipam.parsePools }), // "wg0=10.0.0.0/24|fd00::/64;wg1=10.1.0.0/24"
+  reservedAddresses: string('WG_RESERVED_ADDRESSES', '', { validate: ipam.parseReserved }), // "wg0=10.0.0.2-10.0.0.9|10.0.0.250/31"
+  // Interface config files: agent (render peers from the agent's peer store, apply with wg syncconf) | wg-quick (wg set + wg-quick save)
+  wgConfigMode: oneOf('WG_CONFIG_MODE', wgconfig.MODES, 'wg-quick'), // agent re-renders the operator's config file: opt-in
+  wgConfigDir: string('WG_CONFIG_DIR', '/etc/wireguard'),
+  configRevisionsKeep: int('CONFIG_REVISIONS_KEEP', 20, { min: 1 }), // Config revisions kept per interface for rollback
+  peerBatchMaxSize: int('PEER_BATCH_MAX_SIZE', 1000, { min: 1 }), // Operations allowed in one POST /peers/batch
+  // Client provisioning
+  publicEndpoint: string('PUBLIC_ENDPOINT', ''), // Public hostname/IP clients connect to (port comes from the interface)
+  clientDns: list('CLIENT_DNS', ['1.1.1.1'], { validate: validateDnsList }),
+  clientAllowedIPs: string('CLIENT_ALLOWED_IPS', '0.0.0.0/0, ::/0', { validate: wg.validateAllowedIPs }), // Routed through the tunnel on the client
+  clientPersistentKeepalive: int('CLIENT_PERSISTENT_KEEPALIVE', 25, { min: 0 }),
+  clientMtu: int('CLIENT_MTU', null, { min: 0 }), // 0 or unset: the client's default
+  agentPort: int('AGENT_PORT', 3001, { min: 1, max: 65535, reload: false }), // Agent HTTP server port
+  agentHost: string('AGENT_HOST', '0.0.0.0', { reload: false }), // Agent HTTP server bind address
+  // TLS (see lib/tls.js); certificate files are re-read on every reload
+  agentTlsCert: string('AGENT_TLS_CERT', '', { reload: false }), // PEM certificate (chain); with AGENT_TLS_KEY the API is served over HTTPS
+  agentTlsKey: string('AGENT_TLS_KEY', '', { reload: false }),
+  agentTlsClientAuth: oneOf('AGENT_TLS_CLIENT_AUTH', tls.CLIENT_AUTH_MODES, 'off', { reload: false }), // off | optional | required
+  agentTlsClientCa: string('AGENT_TLS_CLIENT_CA', ''), // CA bundle that issues client certificates
+  backendTlsCert: string('BACKEND_TLS_CERT', ''), // Client certificate presented to the backend (mutual TLS)
+  backendTlsKey: string('BACKEND_TLS_KEY', ''),
+  backendTlsCa: string('BACKEND_TLS_CA', ''), // CA bundle trusted for the backend instead of the system CAs
+  backendTlsPins: list('BACKEND_TLS_PINS', [], { validate: pins => pins.forEach(tls.parsePin) }), // Accepted public key hashes (sha256/<base64>)
+  // System metrics collector
+  systemSampleInterval: seconds('SYSTEM_SAMPLE_INTERVAL', 10),
+  systemHistorySize: int('SYSTEM_HISTORY_SIZE', 60, { min: 1 }), // Samples kept for GET /system
+  uplinkInterface: string('UPLINK_INTERFACE', ''), // Reported alongside the WireGuard interfaces; default: interface of the default route
+  // Health policy (see lib/health.js)
+  healthWeights: string('HEALTH_WEIGHTS', '', { validate: health.parseWeights }), // "interface=3,port=2,..."; 0 disables a check
+  healthCritical: string('HEALTH_CRITICAL', 'interface'), // Checks that make the agent "down" on their own
+  healthHealthyScore: float('HEALTH_HEALTHY_SCORE', 0.9, { min: 0, max: 1 }),
+  healthDegradedScore: float('HEALTH_DEGRADED_SCORE', 0.5, { min: 0, max: 1 }),
+  healthHandshakeMaxAge: int('HEALTH_HANDSHAKE_MAX_AGE', 180, { min: 0 }), // Seconds a handshake counts as recent
+  healthHandshakeMinRatio: float('HEALTH_HANDSHAKE_MIN_RATIO', 0, { min: 0, max: 1 }), // Fraction of peers that must have a recent handshake
+  healthCpuDegraded: float('HEALTH_CPU_DEGRADED', 85, { min: 0 }),
+  healthCpuDown: float('HEALTH_CPU_DOWN', 98, { min: 0 }),
+  healthRamDegraded: float('HEALTH_RAM_DEGRADED', 90, { min: 0 }),
+  healthRamDown: float('HEALTH_RAM_DOWN', 98, { min: 0 }),
+  healthBackendMaxAge: int('HEALTH_BACKEND_MAX_AGE', 180, { min: 0 }), // Seconds without backend contact before "down"
+  dataDir: string('DATA_DIR', '/var/lib/vexira-agent', { reload: false }), // Local state (usage counters, ...)
+  usageSampleInterval: seconds('USAGE_SAMPLE_INTERVAL', 60), // Traffic sampling period
+  quotaEnforcement: bool('QUOTA_ENFORCEMENT', false), // Disable peers that exceed their quota
+  // Outbox: messages kept on disk while the backend is unreachable
+  outboxMaxItems: int('OUTBOX_MAX_ITEMS', 1000, { min: 1 }),
+  outboxMaxBytes: int('OUTBOX_MAX_BYTES', 10485760, { min: 1 }),
+  outboxHeartbeatInterval: seconds('OUTBOX_HEARTBEAT_INTERVAL', 300, { min: 0 }), // At most one queued heartbeat per interval
+  // Desired-state reconciliation against the backend's peer list
+  reconcileMode: oneOf('RECONCILE_MODE', reconcile.MODES, 'off'), // off | dry-run | apply
+  reconcileInterval: seconds('RECONCILE_INTERVAL', 300),
+  reconcileMaxRemovals: int('RECONCILE_MAX_REMOVALS', 50, { min: 0 }), // Safety limit per run
+  // Interface lifecycle: auto (systemd when available) | systemd (wg-quick@<iface>) | wg-quick (wg-quick up/down)
+  wgServiceManager: oneOf('WG_SERVICE_MANAGER', wg.SERVICE_MANAGERS, 'auto'),
+  interfaceStartTimeout: seconds('INTERFACE_START_TIMEOUT', 15), // Wait for a started interface to pass its checks
+  // Watchdog: restart interfaces that stay down (opt-in)
+  watchdogEnabled: bool('WATCHDOG_ENABLED', false),
+  watchdogInterval: seconds('WATCHDOG_INTERVAL', 30),
+  watchdogFailureThreshold: int('WATCHDOG_FAILURE_THRESHOLD', 3, { min: 1 }), // Consecutive failed checks before a restart
+  watchdogMaxRestarts: int('WATCHDOG_MAX_RESTARTS', 3, { min: 1 }), // Restarts before giving up until the interface is healthy again
+  watchdogRestartDelay: seconds('WATCHDOG_RESTART_DELAY', 30), // Backoff between restarts, doubled per attempt
+  watchdogRestartMaxDelay: seconds('WATCHDOG_RESTART_MAX_DELAY', 600),
+  // Managed NAT / forward rules (see lib/firewall.js): off | dry-run (report drift) | apply (repair drift)
+  firewallMode: oneOf('FIREWALL_MODE', firewall.MODES, 'off'),
+  firewallInterval: seconds('FIREWALL_INTERVAL', 60), // Drift check period
+  firewallIsolatePeers: bool('FIREWALL_ISOLATE_PEERS', false), // Peers cannot reach each other through the server
+  firewallUplink: string('FIREWALL_UPLINK', '', { validate: wg.validateInterfaceName }), // Masquerade out of this interface; default: UPLINK_INTERFACE / default route
+  firewallEnableForwarding: bool('FIREWALL_ENABLE_FORWARDING', true), // Switch IP forwarding on in apply mode
+  // Peer presence and sessions (see lib/sessions.js)
+  peerSampleInterval: seconds('PEER_SAMPLE_INTERVAL', 15),
+  peerIdleAfter: int('PEER_IDLE_AFTER', 300, { min: 1 }), // Seconds without traffic before a connected peer is idle
+  peerDisconnectAfter: int('PEER_DISCONNECT_AFTER', 180, { min: 1 }), // Handshake age (seconds) after which a peer is disconnected
+  peerActivityMinBytes: int('PEER_ACTIVITY_MIN_BYTES', 1024, { min: 0 }), // Bytes per sample that count as traffic (keepalives stay below)
+  sessionHistorySize: int('SESSION_HISTORY_SIZE', 50, { min: 1 }), // Finished sessions kept per peer
+  sessionRetentionDays: int('SESSION_RETENTION_DAYS', 30, { min: 1 }), // History of peers no longer on an interface
+  eventStreamBuffer: int('EVENT_STREAM_BUFFER', 500, { min: 1 }), // Events kept for GET /events clients that reconnect
+  // Audit log of mutating actions (DATA_DIR/audit/audit.log, see lib/audit.js)
+  auditMaxBytes: int('AUDIT_MAX_BYTES', 10485760, { min: 1 }), // Size at which the log is rotated
+  auditMaxFiles: int('AUDIT_MAX_FILES', 5, { min: 1 }), // Files kept, including the current one
+  auditForward: bool('AUDIT_FORWARD', true) // Also send every entry to the backend (POST /agent/audit)
+};
+
+// Checks across settings; each returns an error message or null
+const RULES = [
+  config => (config.wsReconnectMaxDelay < config.wsReconnectBaseDelay
+    ? 'WS_RECONNECT_MAX_DELAY must be >= WS_RECONNECT_BASE_DELAY' : null),
+  config => (config.commandTransport === 'websocket' && !config.wsUrl
+    ? 'COMMAND_TRANSPORT=websocket requires WS_URL' : null),
+  config => (config.healthHealthyScore < config.healthDegradedScore
+    ? 'HEALTH_HEALTHY_SCORE must be >= HEALTH_DEGRADED_SCORE' : null),
+  config => (config.watchdogRestartMaxDelay < config.watchdogRestartDelay
+    ? 'WATCHDOG_RESTART_MAX_DELAY must be >= WATCHDOG_RESTART_DELAY' : null),
+  config => (Boolean(config.agentTlsCert) !== Boolean(config.agentTlsKey)
+    ? 'AGENT_TLS_CERT and AGENT_TLS_KEY must be set together' : null),
+  config => (config.agentTlsClientAuth !== 'off' && !(config.agentTlsCert && config.agentTlsClientCa)
+    ? `AGENT_TLS_CLIENT_AUTH=${config.agentTlsClientAuth} requires AGENT_TLS_CERT and AGENT_TLS_CLIENT_CA` : null),
+  config => (Boolean(config.backendTlsCert) !== Boolean(config.backendTlsKey)
+    ? 'BACKEND_TLS_CERT and BACKEND_TLS_KEY must be set together' : null)
+];
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+// Convert one raw value (environment string or JSON value) to the setting's type; throws with a reason
+function parseValue(setting, raw) {
+  switch (setting.type) {
+    case 'string':
+      if (typeof raw !== 'string') {
+        throw new Error('must be a string');
+      }
+      if (setting.values && !setting.values.includes(raw)) {
+        throw new Error(`must be one of: ${setting.values.join(', ')}`);
+      }
+      return raw;
+    case 'list':
+      if (Array.isArray(raw)) {
+        return raw.map(item => String(item).trim()).filter(Boolean);
+      }
+      if (typeof raw !== 'string') {
+        throw new Error('must be a list or a comma-separated string');
+      }
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    case 'bool': {
+      if (typeof raw === 'boolean') {
+        return raw;
+      }
+      const text = String(raw).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text) || FALSE_VALUES.includes(text)) {
+        return TRUE_VALUES.includes(text);
+      }
+      throw new Error('must be true or false');
+    }
+    case 'int':
+    case 'float': {
+      const value = typeof raw === 'number' ? raw : (String(raw).trim() === '' ? NaN : Number(raw));
+      if (setting.type === 'int' ? !Number.isSafeInteger(value) : !Number.isFinite(value)) {
+        throw new Error(setting.type === 'int' ? 'must be a whole number' : 'must be a number');
+      }
+      if (setting.min !== undefined && value < setting.min) {
+        throw new Error(`must be at least ${setting.min}`);
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        throw new Error(`must be at most ${setting.max}`);
+      }
+      return value;
+    }
+    default:
+      throw new Error(`has an unknown type ${setting.type}`);
+  }
+}
+
+// --config <path> / --config=<path>, then CONFIG_FILE, then the default location if it exists
+function resolveConfigFile(argv = process.argv, env = process.env) {
+  const index = argv.indexOf('--config');
+  const inline = argv.find(arg => arg.startsWith('--config='));
+  const explicit = index >= 0 ? argv[index + 1] : inline ? inline.slice('--config='.length) : env.CONFIG_FILE;
+  if (explicit) {
+    return { file: explicit, explicit: true };
+  }
+  return { file: fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null, explicit: false };
+}
+
+function readConfigFile(file, errors) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    errors.push(`Cannot read config file ${file}: ${error.message}`);
+    return {};
+  }
+  const format = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase()) ? 'YAML' : 'JSON';
+  let values;
+  try {
+    // JSON_SCHEMA: plain YAML scalars only (no dates, no "yes"/"no" booleans)
+    values = format === 'YAML' ? yaml.load(text, { schema: yaml.JSON_SCHEMA, filename: file }) : JSON.parse(text);
+  } catch (error) {
+    errors.push(`Config file ${file} is not valid ${format}: ${error.message}`);
+    return {};
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    errors.push(`Config file ${file} must contain a ${format === 'YAML' ? 'YAML mapping' : 'JSON object'}`);
+    return {};
+  }
+  for (const key of Object.keys(values)) {
+    if (!SETTINGS[key]) {
+      errors.push(`Unknown setting "${key}" in ${file}`);
+    }
+  }
+  return values;
+}
+
+// Build the configuration. Resolves { config, errors, file }; config is only
+// usable when errors is empty.
+function loadConfig({ env = process.env, file = null } = {}) {
+  const errors = [];
+  const values = file ? readConfigFile(file, errors) : {};
+  const config = {};
+
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const fromEnv = env[setting.env] !== undefined && env[setting.env] !== '';
+    const fromFile = !fromEnv && values[key] !== undefined && values[key] !== null;
+    const label = fromEnv ? setting.env : fromFile ? `${key} in ${file}` : setting.env;
+    let value = setting.default;
+    try {
+      if (fromEnv || fromFile) {
+        value = parseValue(setting, fromEnv ? env[setting.env] : values[key]);
+      }
+      if (setting.validate && value !== null && value !== '') {
+        try {
+          setting.validate(value);
+        } catch (error) {
+          throw new Error(`is invalid - ${error.message}`);
+        }
+      }
+    } catch (error) {
+      errors.push(`${label} ${error.message}`);
+    }
+    if (setting.type === 'int' && setting.default === null && value === 0) {
+      value = null;
+    }
+    config[key] = setting.seconds && typeof value === 'number' ? value * 1000 : value;
+  }
+
+  if (!errors.length) {
+    for (const rule of RULES) {
+      const problem = rule(config);
+      if (problem) {
+        errors.push(problem);
+      }
+    }
+  }
+  return { config, errors, file };
+}
+
+// Settings whose value differs between two configurations
+function changedSettings(previous, next) {
+  return Object.keys(SETTINGS).filter(key => JSON.stringify(previous[key]) !== JSON.stringify(next[key]));
+}
+
+// The configuration as a config file would hold it (seconds, secrets hidden)
+function describeConfig(config) {
+  return Object.fromEntries(Object.entries(SETTINGS).map(([key, setting]) => {
+    let value = config[key];
+    if (setting.secret && value) {
+      value = '(hidden)';
+    } else if (setting.seconds && typeof value === 'number') {
+      value /= 1000;
+    }
+    return [key, value];
+  }));
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  COMMAND_TRANSPORTS,
+  SETTINGS,
+  resolveConfigFile,
+  loadConfig,
+  changedSettings,
+  describeConfig
+};
@@ -0,0 +1,190 @@
+// Enrollment and agent credentials
+//
+// Instead of a pre-shared SERVER_ID the agent can register itself: with ENROLL_TOKEN
+// set it sends its facts (hostname, addresses, WireGuard interfaces, capacity) to
+// POST /agent/enroll and receives its server id and a long-lived credential. Both
+// are kept in DATA_DIR/credentials.json (owner-only) and take the place of
+// SERVER_ID and API_KEY for heartbeats, polling and the WebSocket.
+//
+// Tokens are single-use: a token different from the one used last time enrolls
+// the agent again. The credential is rotated every CREDENTIAL_ROTATE_DAYS through
+// POST /agent/credentials/rotate, or on demand; the new credential is stored
+// before it is used.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJson, writeJson, createWriteQueue } = require('./store');
+const { backoffDelay } = require('./wsclient');
+const { describeError } = require('./backend');
+const { AgentError } = require('./errors');
+
+const ROTATION_CHECK_INTERVAL = 60 * 60 * 1000;
+const ENROLL_RETRY_DELAY = 5000;
+const ENROLL_RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+const credentialsFile = config => path.join(config.dataDir, 'credentials.json');
+const tokenHash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Whether an earlier enrollment left credentials behind (startup validation)
+function hasStoredCredentials(config) {
+  return fs.existsSync(credentialsFile(config));
+}
+
+// options:
+//   config   - agent config (dataDir, enrollToken, credentialRotateDays); serverId and
+//              apiKey are replaced by the stored identity
+//   backend  - backend client (lib/backend)
+//   facts    - async () => what the agent tells the backend about itself
+//   onRotate - () => void; the credential changed (reconnect the WebSocket)
+//   audit    - (action, run) => result of run(); records enrollments and scheduled rotations
+function createEnrollment({ config, backend, facts, onRotate, audit = (action, run) => run() }) {
+  const queue = createWriteQueue();
+  let stored = null;
+  let timer = null;
+
+  // Put the stored identity into a configuration object (startup and every reload)
+  function overlay(target) {
+    if (stored) {
+      target.serverId = stored.serverId;
+      target.apiKey = stored.credential;
+    }
+    return target;
+  }
+
+  async function save(next) {
+    await queue(() => writeJson(credentialsFile(config), next));
+    stored = next;
+    overlay(config);
+  }
+
+  // The backend's reply must carry both halves of the identity
+  function checkReply(data, fields) {
+    const missing = fields.filter(field => !data || typeof data[field] !== 'string' || !data[field]);
+    if (missing.length) {
+      throw new AgentError(`Backend reply is missing ${missing.join(', ')}`, { code: 'INVALID_BACKEND_REPLY', statusCode: 502 });
+    }
+  }
+
+  async function enroll() {
+    const data = await backend.post('/agent/enroll', { token: config.enrollToken, facts: await facts() });
+    checkReply(data, ['serverId', 'credential']);
+    const now = new Date().toISOString();
+    await save({
+      version: 1,
+      serverId: data.serverId,
+      credential: data.credential,
+      tokenHash: tokenHash(config.enrollToken),
+      enrolledAt: now,
+      rotatedAt: now
+    });
+    console.log(`🪪 Enrolled with the backend as server ${data.serverId}`);
+  }
+
+  // Retry while the backend is unreachable; a rejected token (4xx) is final
+  async function enrollWithRetry() {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        await enroll();
+        return;
+      } catch (error) {
+        const rejected = error.response && error.response.status >= 400 && error.response.status < 500;
+        if (rejected || error instanceof AgentError) {
+          throw new AgentError(`Enrollment rejected: ${describeError(error, config)}`, { code: 'ENROLLMENT_REJECTED' });
+        }
+        const delay = backoffDelay(attempt, ENROLL_RETRY_DELAY, ENROLL_RETRY_MAX_DELAY);
+        console.error(`❌ Enrollment failed (${describeError(error, config)}), retrying in ${Math.round(delay / 1000)}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Exchange the credential for a new one; resolves the public state
+  async function rotate() {
+    if (!stored) {
+      throw new AgentError('This agent is not enrolled; its credentials come from the configuration', { code: 'NOT_ENROLLED', statusCode: 409 });
+    }
+    let data;
+    try {
+      data = await backend.post('/agent/credentials/rotate', { serverId: stored.serverId });
+    } catch (error) {
+      throw new AgentError(`Credential rotation failed: ${describeError(error, config)}`, { code: 'ROTATION_FAILED', statusCode: 502 });
+    }
+    checkReply(data, ['credential']);
+    await save({ ...stored, credential: data.credential, rotatedAt: new Date().toISOString() });
+    console.log('🪪 Agent credential rotated');
+    if (onRotate) {
+      onRotate();
+    }
+    return status();
+  }
+
+  function rotationDue(now = Date.now()) {
+    return Boolean(stored) && config.credentialRotateDays > 0
+      && now - Date.parse(stored.rotatedAt) >= config.credentialRotateDays * 86400 * 1000;
+  }
+
+  // Read stored credentials, enroll when a new token is configured and schedule rotation
+  async function start() {
+    stored = await readJson(credentialsFile(config), null);
+    if (config.enrollToken && (!stored || stored.tokenHash !== tokenHash(config.enrollToken))) {
+      try {
+        await audit('enroll', async () => {
+          await enrollWithRetry();
+          return { success: true, serverId: stored.serverId };
+        });
+      } catch (error) {
+        if (!stored) {
+          throw error;
+        }
+        console.error(`❌ ${error.message}; keeping the credentials of server ${stored.serverId}`);
+      }
+    }
+    overlay(config);
+
+    stop();
+    const check = () => {
+      if (rotationDue()) {
+        audit('rotate_credentials', rotate).catch(error => console.error(`❌ ${error.message}`));
+      }
+    };
+    timer = setInterval(check, ROTATION_CHECK_INTERVAL);
+    check();
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  // Identity without the credential itself
+  function status() {
+    if (!stored) {
+      return { enrolled: false, serverId: config.serverId || null };
+    }
+    return {
+      enrolled: true,
+      serverId: stored.serverId,
+      enrolledAt: stored.enrolledAt,
+      rotatedAt: stored.rotatedAt,
+      nextRotationAt: config.credentialRotateDays > 0
+        ? new Date(Date.parse(stored.rotatedAt) + config.credentialRotateDays * 86400 * 1000).toISOString()
+        : null
+    };
+  }
+
+  return {
+    start,
+    stop,
+    rotate,
+    overlay,
+    status
+  };
+}
+
+module.exports = {
+  hasStoredCredentials,
+  createEnrollment
+};
@@ -0,0 +1,54 @@
+// Typed errors shared by the agent modules.
+// statusCode is the HTTP status the handlers respond with; code is a stable
+// machine-readable identifier that is also sent over the WebSocket.
+
+class AgentError extends Error {
+  constructor(message, { code = 'AGENT_ERROR', statusCode = 500 } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Bad input from the caller (HTTP body, query or backend command)
+class ValidationError extends AgentError {
+  constructor(message, code = 'VALIDATION_ERROR') {
+    super(message, { code, statusCode: 400 });
+  }
+}
+
+// The request conflicts with current state (address in use, pool exhausted, ...)
+class ConflictError extends AgentError {
+  constructor(message, code = 'CONFLICT') {
+    super(message, { code, statusCode: 409 });
+  }
+}
+
+// An external command (wg, ip, systemctl, ...) failed to run or exited non-zero
+class CommandError extends AgentError {
+  constructor(message, { command = null, exitCode = null, stderr = '' } = {}) {
+    super(message, { code: 'COMMAND_FAILED', statusCode: 500 });
+    this.command = command;
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+  }
+}
+
+// Convert any thrown error into the { success: false, ... } result shape
+function toErrorResult(error) {
+  return {
+    success: false,
+    error: error.message,
+    code: error.code && error instanceof AgentError ? error.code : 'INTERNAL_ERROR',
+    statusCode: error.statusCode || 500
+  };
+}
+
+module.exports = {
+  AgentError,
+  ValidationError,
+  ConflictError,
+  CommandError,
+  toErrorResult
+};
@@ -0,0 +1,58 @@
+// Local event stream
+//
+// Every event the agent reports is also published here so local consumers can
+// follow it live (GET /events, Server-Sent Events). Events get an increasing id
+// prefixed with the time the stream was created ("<epoch>-<n>"), so ids from before
+// a restart are never mistaken for current ones. The last EVENT_STREAM_BUFFER events
+// are kept so a client that reconnects with Last-Event-ID receives what it missed.
+
+// options:
+//   config - agent config (eventStreamBuffer)
+//   epoch  - id prefix; defaults to the current time
+function createEventStream({ config, epoch = Date.now() }) {
+  const buffer = []; // { seq, entry }
+  const subscribers = new Set();
+  let nextId = 1;
+
+  function publish(event) {
+    const entry = { id: `${epoch}-${nextId}`, event };
+    buffer.push({ seq: nextId, entry });
+    nextId += 1;
+    while (buffer.length > config.eventStreamBuffer) {
+      buffer.shift();
+    }
+    for (const subscriber of subscribers) {
+      try {
+        subscriber(entry);
+      } catch (error) {
+        console.error(`❌ Event subscriber failed: ${error.message}`);
+      }
+    }
+    return entry;
+  }
+
+  // Receive every new event as { id, event }; returns the unsubscribe function
+  function subscribe(fn) {
+    subscribers.add(fn);
+    return () => subscribers.delete(fn);
+  }
+
+  // Buffered events after the given id. An id from another epoch (an earlier run
+  // of the agent) says nothing about this buffer, so all of it is replayed.
+  function since(id) {
+    const match = String(id).match(/^(\d+)-(\d+)$/);
+    const after = match && match[1] === String(epoch) ? Number(match[2]) : 0;
+    return buffer.filter(item => item.seq > after).map(item => item.entry);
+  }
+
+  return {
+    publish,
+    subscribe,
+    since,
+    subscribers: () => subscribers.size
+  };
+}
+
+module.exports = {
+  createEventStream
+};
@@ -0,0 +1,220 @@
+// Time-limited peers
+//
+// Expiry schedules live in DATA_DIR/expiry.json so the agent removes peers on
+// time even after a restart or while it cannot reach the backend.
+
+const path = require('path');
+const { readJson, writeJson, createWriteQueue } = require('./store');
+const { ValidationError } = require('./errors');
+
+// Longest the scheduler sleeps between checks; keeps it robust against clock jumps
+const MAX_SLEEP = 60 * 1000;
+// Wait before retrying a removal that failed (interface down, ...)
+const RETRY_DELAY = 30 * 1000;
+// How long expired peers are remembered (so reconciliation does not bring them back)
+const EXPIRED_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+// Accepts an ISO 8601 string or epoch seconds; returns a Date in the future
+function parseExpiresAt(value, now = Date.now()) {
+  let date = null;
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    date = new Date(Number(value) * 1000);
+  } else if (typeof value === 'string') {
+    date = new Date(value);
+  }
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new ValidationError('expiresAt must be an ISO 8601 date or epoch seconds', 'INVALID_EXPIRY');
+  }
+  if (date.getTime() <= now) {
+    throw new ValidationError('expiresAt must be in the future', 'INVALID_EXPIRY');
+  }
+  return date;
+}
+
+// options:
+//   config      - agent config (dataDir)
+//   removePeer  - async (publicKey, { interface }) => { success, error }
+function createExpiryScheduler({ config, removePeer }) {
+  const queue = createWriteQueue();
+  let state = { version: 1, peers: {}, expired: {} };
+  let loaded = false;
+  let timer = null;
+  let running = false;
+  let removing = null;
+
+  const file = () => path.join(config.dataDir, 'expiry.json');
+
+  async function ensureLoaded() {
+    if (!loaded) {
+      state = await readJson(file(), { version: 1, peers: {} });
+      state.expired = state.expired || {};
+      loaded = true;
+    }
+  }
+
+  function save() {
+    return queue(() => writeJson(file(), state));
+  }
+
+  function nextDue() {
+    return Object.values(state.peers).reduce((earliest, entry) => {
+      const due = Math.max(new Date(entry.expiresAt).getTime(), entry.retryAt || 0);
+      return earliest === null || due < earliest ? due : earliest;
+    }, null);
+  }
+
+  // Sleep until the next expiry (or MAX_SLEEP), then run. While a run is in
+  // progress nothing is armed; the run arms the timer when it finishes.
+  function arm() {
+    if (!running || removing) {
+      return;
+    }
+    if (timer) {
+      clearTimeout(timer);
+    }
+    const due = nextDue();
+    const delay = due === null ? MAX_SLEEP : Math.min(Math.max(due - Date.now(), 0), MAX_SLEEP);
+    timer = setTimeout(() => {
+      timer = null;
+      removeExpired().catch(error => console.error(`❌ Expiry check failed: ${error.message}`));
+    }, delay);
+  }
+
+  // Remove every peer whose expiry has passed; runs never overlap
+  function removeExpired(now = Date.now()) {
+    if (!removing) {
+      removing = removeDue(now).finally(() => {
+        removing = null;
+        arm();
+      });
+    }
+    return removing;
+  }
+
+  async function removeDue(now) {
+    await ensureLoaded();
+    const removed = [];
+    for (const entry of Object.values(state.peers)) {
+      // Cleared (or removed) while earlier peers were being removed
+      if (state.peers[entry.publicKey] !== entry) {
+        continue;
+      }
+      if (new Date(entry.expiresAt).getTime() > now || (entry.retryAt && entry.retryAt > now)) {
+        continue;
+      }
+      const result = await removePeer(entry.publicKey, { interface: entry.interface });
+      if (result.success) {
+        delete state.peers[entry.publicKey];
+        state.expired[entry.publicKey] = { interface: entry.interface, expiresAt: entry.expiresAt, removedAt: new Date(now).toISOString() };
+        removed.push(entry);
+        console.log(`⌛ Peer expired and removed: ${entry.publicKey.substring(0, 16)}... (expired ${entry.expiresAt})`);
+      } else if (state.peers[entry.publicKey] === entry) {
+        entry.retryAt = now + RETRY_DELAY;
+        console.error(`❌ Failed to remove expired peer ${entry.publicKey.substring(0, 16)}...: ${result.error}`);
+      }
+    }
+    for (const [publicKey, record] of Object.entries(state.expired)) {
+      if (new Date(record.removedAt).getTime() < now - EXPIRED_RETENTION) {
+        delete state.expired[publicKey];
+      }
+    }
+    await save();
+    return removed;
+  }
+
+  // Expiry record of a peer the scheduler removed, or null
+  async function wasExpired(publicKey) {
+    await ensureLoaded();
+    return state.expired[publicKey] || null;
+  }
+
+  // Forget that a peer expired (it was explicitly added again)
+  async function forgetExpired(publicKey) {
+    await ensureLoaded();
+    if (state.expired[publicKey]) {
+      delete state.expired[publicKey];
+      await save();
+    }
+  }
+
+  // Set or extend a peer's expiry
+  async function set(publicKey, iface, expiresAt) {
+    await ensureLoaded();
+    const date = expiresAt instanceof Date ? expiresAt : parseExpiresAt(expiresAt);
+    const existing = state.peers[publicKey];
+    state.peers[publicKey] = {
+      publicKey,
+      interface: iface || (existing && existing.interface) || null,
+      expiresAt: date.toISOString(),
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await save();
+    arm();
+    return state.peers[publicKey];
+  }
+
+  // Clear a peer's expiry; returns the removed schedule or null
+  async function clear(publicKey) {
+    await ensureLoaded();
+    const existing = state.peers[publicKey] || null;
+    if (existing) {
+      delete state.peers[publicKey];
+      await save();
+      arm();
+    }
+    return existing;
+  }
+
+  async function get(publicKey) {
+    await ensureLoaded();
+    return state.peers[publicKey] || null;
+  }
+
+  // Schedules due within the given number of seconds (all when omitted), soonest first
+  async function upcoming(withinSeconds = null, now = Date.now()) {
+    await ensureLoaded();
+    return Object.values(state.peers)
+      .filter(entry => withinSeconds === null || new Date(entry.expiresAt).getTime() <= now + withinSeconds * 1000)
+      .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt))
+      .map(entry => ({
+        publicKey: entry.publicKey,
+        interface: entry.interface,
+        expiresAt: entry.expiresAt,
+        secondsLeft: Math.max(0, Math.round((new Date(entry.expiresAt).getTime() - now) / 1000))
+      }));
+  }
+
+  async function start() {
+    await ensureLoaded();
+    running = true;
+    // Catch up on anything that expired while the agent was stopped
+    await removeExpired().catch(error => console.error(`❌ Expiry check failed: ${error.message}`));
+    arm();
+  }
+
+  function stop() {
+    running = false;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    set,
+    clear,
+    get,
+    upcoming,
+    removeExpired,
+    wasExpired,
+    forgetExpired
+  };
+}
+
+module.exports = {
+  parseExpiresAt,
+  createExpiryScheduler
+};
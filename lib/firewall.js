@@ -0,0 +1,438 @@
+// Managed firewall and NAT rules
+//
+// The agent keeps its rules in chains of its own, reached by one jump each from
+// the built-in chains, so rules added by anyone else are never touched:
+//
+//   filter  FORWARD     -> VEXIRA-FORWARD      peers out, replies back, isolation, port forwards
+//   nat     PREROUTING  -> VEXIRA-PREROUTING   port forwards (DNAT to a peer)
+//   nat     POSTROUTING -> VEXIRA-POSTROUTING  masquerade of every WireGuard subnet
+//
+// Every check renders the desired rules and compares them with the chains
+// (iptables -S). FIREWALL_MODE=apply repairs drift by rewriting the chains in one
+// step (iptables-restore --noflush); dry-run only reports it. IPv6 subnets get
+// the same rules through ip6tables. IP forwarding is checked as well and, in
+// apply mode with FIREWALL_ENABLE_FORWARDING, switched on.
+//
+// When the last subnet or forward of an address family goes away, that family's
+// chains are emptied rather than forgotten.
+//
+// Port forwards are kept in DATA_DIR/firewall.json. A forward whose peer is gone
+// (or has no IPv4 address) stays stored but renders no rules.
+
+const fs = require('fs');
+const path = require('path');
+const wg = require('./wireguard');
+const ipam = require('./ipam');
+const { parseDefaultRoute } = require('./sysmetrics');
+const { readJson, writeJson, createWriteQueue } = require('./store');
+const { AgentError, ValidationError, ConflictError } = require('./errors');
+
+const MODES = ['off', 'dry-run', 'apply'];
+const PROTOCOLS = ['tcp', 'udp'];
+const FORWARD_CHAIN = 'VEXIRA-FORWARD';
+const PREROUTING_CHAIN = 'VEXIRA-PREROUTING';
+const POSTROUTING_CHAIN = 'VEXIRA-POSTROUTING';
+// Agent chain -> [table, built-in chain that jumps to it]
+const CHAINS = {
+  [FORWARD_CHAIN]: ['filter', 'FORWARD'],
+  [PREROUTING_CHAIN]: ['nat', 'PREROUTING'],
+  [POSTROUTING_CHAIN]: ['nat', 'POSTROUTING']
+};
+const TOOLS = {
+  4: { iptables: 'iptables', restore: 'iptables-restore', forwarding: '/proc/sys/net/ipv4/ip_forward' },
+  6: { iptables: 'ip6tables', restore: 'ip6tables-restore', forwarding: '/proc/sys/net/ipv6/conf/all/forwarding' }
+};
+
+// Validate a port forward; resolves { protocol, port, targetPort }
+function validateForward(input = {}) {
+  const protocol = String(input.protocol || 'tcp').toLowerCase();
+  if (!PROTOCOLS.includes(protocol)) {
+    throw new ValidationError(`protocol must be one of: ${PROTOCOLS.join(', ')}`, 'INVALID_PROTOCOL');
+  }
+  const port = wg.validatePort(input.port);
+  const targetPort = input.targetPort === undefined || input.targetPort === null ? port : wg.validatePort(input.targetPort);
+  return { protocol, port, targetPort };
+}
+
+// The peer's IPv4 host address (first /32 allowed IP), or null
+function peerAddress(peer) {
+  const host = (peer.allowedIPs || []).map(cidr => ipam.parseCIDR(cidr)).find(range => range.family === 4 && range.prefix === 32);
+  return host ? host.cidr.split('/')[0] : null;
+}
+
+// Desired chain contents per address family, as iptables -S prints them.
+// plan: { interfaces: [{ name, subnets }], uplink, isolate, forwards: [{ protocol, port, targetPort, address, interface }] }
+function renderRules({ interfaces, uplink, isolate, forwards }) {
+  const families = {};
+  const chainsOf = (family) => {
+    if (!families[family]) {
+      families[family] = { [FORWARD_CHAIN]: [], [PREROUTING_CHAIN]: [], [POSTROUTING_CHAIN]: [] };
+    }
+    return families[family];
+  };
+
+  for (const forward of forwards) {
+    const chains = chainsOf(4);
+    chains[PREROUTING_CHAIN].push(`-A ${PREROUTING_CHAIN} -p ${forward.protocol} -m addrtype --dst-type LOCAL -m ${forward.protocol} --dport ${forward.port} -j DNAT --to-destination ${forward.address}:${forward.targetPort}`);
+    chains[FORWARD_CHAIN].push(`-A ${FORWARD_CHAIN} -d ${forward.address}/32 -o ${forward.interface} -p ${forward.protocol} -m ${forward.protocol} --dport ${forward.targetPort} -j ACCEPT`);
+  }
+
+  for (const iface of interfaces) {
+    const subnets = iface.subnets.map(subnet => ipam.parseCIDR(subnet));
+    for (const family of new Set(subnets.map(subnet => subnet.family))) {
+      const chains = chainsOf(family);
+      if (isolate) {
+        chains[FORWARD_CHAIN].push(`-A ${FORWARD_CHAIN} -i ${iface.name} -o ${iface.name} -j DROP`);
+      }
+      chains[FORWARD_CHAIN].push(`-A ${FORWARD_CHAIN} -i ${iface.name} -j ACCEPT`);
+      chains[FORWARD_CHAIN].push(`-A ${FORWARD_CHAIN} -o ${iface.name} -m conntrack --ctstate RELATED,ESTABLISHED -j ACCEPT`);
+    }
+    for (const subnet of subnets) {
+      const out = uplink ? `-o ${uplink}` : `! -o ${iface.name}`;
+      chainsOf(subnet.family)[POSTROUTING_CHAIN].push(`-A ${POSTROUTING_CHAIN} -s ${subnet.cidr} ${out} -j MASQUERADE`);
+    }
+  }
+  return families;
+}
+
+// iptables-restore --noflush input: declaring a chain flushes it, nothing else is touched
+function renderRestore(chains) {
+  const lines = [];
+  for (const table of ['filter', 'nat']) {
+    const names = Object.keys(chains).filter(chain => CHAINS[chain][0] === table);
+    lines.push(`*${table}`, ...names.map(chain => `:${chain} - [0:0]`));
+    names.forEach(chain => lines.push(...chains[chain]));
+    lines.push('COMMIT');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+const normalizeRule = rule => rule.replace(/"/g, '').trim().split(/\s+/).join(' ');
+
+// options:
+//   config          - agent config (dataDir, firewallMode, firewallInterval, firewallIsolatePeers,
+//                     firewallUplink, uplinkInterface, firewallEnableForwarding, agentPort)
+//   getInterfaces   - async () => [iface]
+//   findPeer        - (publicKey) => { interface, peer } | null (agent peer store)
+//   report          - (event, data) => void; drift found, rules applied
+function createFirewall({ config, getInterfaces, findPeer, report }) {
+  const queue = createWriteQueue(); // firewall.json
+  const serial = createWriteQueue(); // checks and applies never overlap
+  let state = null;
+  let timer = null;
+  let last = {
+    checkedAt: null,
+    appliedAt: null,
+    inSync: null,
+    drift: [],
+    forwarding: {},
+    uplink: null,
+    error: null
+  };
+
+  const file = () => path.join(config.dataDir, 'firewall.json');
+
+  async function ensureLoaded() {
+    if (!state) {
+      state = await readJson(file(), { version: 1, forwards: [] });
+    }
+    return state;
+  }
+
+  function save() {
+    return queue(() => writeJson(file(), state));
+  }
+
+  async function resolveUplink() {
+    if (config.firewallUplink || config.uplinkInterface) {
+      return config.firewallUplink || config.uplinkInterface;
+    }
+    return parseDefaultRoute(await fs.promises.readFile('/proc/net/route', 'utf8').catch(() => ''));
+  }
+
+  // Stored forwards with the peer address they currently resolve to
+  async function resolveForwards() {
+    const { forwards } = await ensureLoaded();
+    return forwards.map((forward) => {
+      const found = findPeer(forward.publicKey);
+      const address = found ? peerAddress(found.peer) : null;
+      return {
+        ...forward,
+        interface: found ? found.interface : null,
+        address,
+        active: Boolean(address && !found.peer.disabled),
+        problem: !found ? 'peer not found' : !address ? 'peer has no IPv4 /32 address' : found.peer.disabled ? 'peer is disabled' : null
+      };
+    });
+  }
+
+  async function buildPlan() {
+    const names = await getInterfaces();
+    const interfaces = [];
+    for (const name of names) {
+      const subnets = (await wg.interfaceAddresses(name)).map(address => ipam.parseCIDR(address).cidr);
+      if (subnets.length) {
+        interfaces.push({ name, subnets });
+      }
+    }
+    const uplink = await resolveUplink();
+    const forwards = (await resolveForwards()).filter(forward => forward.active);
+    const rules = renderRules({ interfaces, uplink, isolate: config.firewallIsolatePeers, forwards });
+    // A family without subnets or forwards any more keeps its chains, emptied, so no stale
+    // MASQUERADE or DNAT rule stays active
+    for (const family of Object.keys(TOOLS)) {
+      if (!rules[family]) {
+        const existing = await existingChains(family);
+        if (existing.length) {
+          rules[family] = Object.fromEntries(existing.map(chain => [chain, []]));
+        }
+      }
+    }
+    return { uplink, rules };
+  }
+
+  // Agent chains present in the kernel for a family (ip6tables may not even be installed)
+  async function existingChains(family) {
+    const existing = [];
+    for (const chain of Object.keys(CHAINS)) {
+      if (await readChain(family, chain).catch(() => null)) {
+        existing.push(chain);
+      }
+    }
+    return existing;
+  }
+
+  // Rules of an agent chain; null when the chain does not exist
+  async function readChain(family, chain) {
+    try {
+      const { stdout } = await wg.run(TOOLS[family].iptables, ['-w', '-t', CHAINS[chain][0], '-S', chain]);
+      return stdout.split('\n').filter(line => line.startsWith('-A ')).map(normalizeRule);
+    } catch (error) {
+      if (error.exitCode === 1) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function hasJump(family, chain) {
+    const [table, builtin] = CHAINS[chain];
+    try {
+      await wg.run(TOOLS[family].iptables, ['-w', '-t', table, '-C', builtin, '-j', chain]);
+      return true;
+    } catch (error) {
+      if (error.exitCode === 1) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async function readForwarding(family) {
+    const text = await fs.promises.readFile(TOOLS[family].forwarding, 'utf8').catch(() => null);
+    return text === null ? null : text.trim() === '1';
+  }
+
+  // Differences between the desired rules and the kernel, per family and chain
+  async function diff(rules) {
+    const drift = [];
+    const forwarding = {};
+    for (const [family, chains] of Object.entries(rules)) {
+      for (const [chain, wanted] of Object.entries(chains)) {
+        const actual = await readChain(family, chain);
+        const expected = wanted.map(normalizeRule);
+        const current = actual || [];
+        const missing = expected.filter(rule => !current.includes(rule));
+        const unexpected = current.filter(rule => !expected.includes(rule));
+        // Same rules in another order also count: the chain is evaluated top to bottom
+        if (actual === null || expected.join('\n') !== current.join('\n')) {
+          drift.push({ family: Number(family), table: CHAINS[chain][0], chain, exists: actual !== null, missing, unexpected });
+        }
+        // A jump to a chain that does not exist cannot even be looked up
+        if (actual === null || !await hasJump(family, chain)) {
+          drift.push({ family: Number(family), table: CHAINS[chain][0], chain: CHAINS[chain][1], exists: true, missing: [`-A ${CHAINS[chain][1]} -j ${chain}`], unexpected: [] });
+        }
+      }
+      forwarding[`ipv${family}`] = await readForwarding(family);
+    }
+    return { drift, forwarding };
+  }
+
+  async function runCheck() {
+    const plan = await buildPlan();
+    const { drift, forwarding } = await diff(plan.rules);
+    const forwardingOff = Object.values(forwarding).some(enabled => enabled === false);
+    const inSync = !drift.length && !forwardingOff;
+    if (!inSync && last.inSync !== false) {
+      report('firewall_drift', { drift, forwarding });
+    }
+    last = { ...last, checkedAt: new Date().toISOString(), inSync, drift, forwarding, uplink: plan.uplink, error: null };
+    return plan;
+  }
+
+  async function runApply(reason) {
+    const plan = await buildPlan();
+    for (const [family, chains] of Object.entries(plan.rules)) {
+      await wg.run(TOOLS[family].restore, ['-w', '--noflush'], { input: renderRestore(chains) });
+      for (const chain of Object.keys(chains)) {
+        if (!await hasJump(family, chain)) {
+          const [table, builtin] = CHAINS[chain];
+          await wg.run(TOOLS[family].iptables, ['-w', '-t', table, '-I', builtin, '1', '-j', chain]);
+        }
+      }
+      if (config.firewallEnableForwarding && await readForwarding(family) === false) {
+        await fs.promises.writeFile(TOOLS[family].forwarding, '1');
+        console.log(`🧱 Enabled IPv${family} forwarding`);
+      }
+    }
+    last.appliedAt = new Date().toISOString();
+    await runCheck();
+    report('firewall_applied', { reason, inSync: last.inSync });
+    console.log(`🧱 Firewall rules applied (${reason})${last.inSync ? '' : ', still out of sync'}`);
+  }
+
+  // Compare the rules with the kernel; resolves status()
+  function check() {
+    return serial(async () => {
+      try {
+        await runCheck();
+      } catch (error) {
+        last.error = error.message;
+        throw error;
+      }
+      return status();
+    });
+  }
+
+  // Write the rules now; resolves status()
+  function apply(reason = 'manual') {
+    if (config.firewallMode === 'off') {
+      return Promise.reject(new AgentError('Firewall management is disabled (FIREWALL_MODE=off)', { code: 'FIREWALL_DISABLED', statusCode: 409 }));
+    }
+    return serial(async () => {
+      try {
+        await runApply(reason);
+      } catch (error) {
+        last.error = error.message;
+        throw error;
+      }
+      return status();
+    });
+  }
+
+  async function listForwards() {
+    return resolveForwards();
+  }
+
+  // Forward a public port to a peer; applied right away in apply mode
+  async function addForward({ publicKey, ...input }) {
+    wg.validatePublicKey(publicKey);
+    const { protocol, port, targetPort } = validateForward(input);
+    const found = findPeer(publicKey);
+    if (!found) {
+      throw new AgentError(`Peer ${publicKey.substring(0, 16)}... not found`, { code: 'PEER_NOT_FOUND', statusCode: 404 });
+    }
+    if (!peerAddress(found.peer)) {
+      throw new ValidationError('Peer has no IPv4 /32 allowed IP to forward to', 'NO_PEER_ADDRESS');
+    }
+    if (protocol === 'tcp' && port === config.agentPort) {
+      throw new ConflictError(`tcp/${port} is the agent API port`, 'PORT_IN_USE');
+    }
+    for (const iface of await getInterfaces()) {
+      const listenPort = await wg.dump(iface).then(dump => dump.listenPort, () => null);
+      if (protocol === 'udp' && port === listenPort) {
+        throw new ConflictError(`udp/${port} is the listen port of ${iface}`, 'PORT_IN_USE');
+      }
+    }
+
+    await ensureLoaded();
+    const existing = state.forwards.find(item => item.protocol === protocol && item.port === port);
+    if (existing) {
+      throw new ConflictError(`${protocol}/${port} is already forwarded to peer ${existing.publicKey.substring(0, 16)}...`, 'PORT_IN_USE');
+    }
+    const forward = { id: `${protocol}/${port}`, publicKey, protocol, port, targetPort, createdAt: new Date().toISOString() };
+    state.forwards.push(forward);
+    await save();
+    await refresh('port forward added');
+    return forward;
+  }
+
+  async function removeForward(protocol, port) {
+    await ensureLoaded();
+    const value = wg.validatePort(port);
+    const index = state.forwards.findIndex(item => item.protocol === String(protocol).toLowerCase() && item.port === value);
+    if (index === -1) {
+      throw new AgentError(`No port forward for ${protocol}/${port}`, { code: 'FORWARD_NOT_FOUND', statusCode: 404 });
+    }
+    const [forward] = state.forwards.splice(index, 1);
+    await save();
+    await refresh('port forward removed');
+    return forward;
+  }
+
+  // After a change: apply in apply mode, otherwise just re-check so drift shows up.
+  // The change itself is stored either way; a failure shows up in status().
+  async function refresh(reason) {
+    try {
+      if (config.firewallMode === 'apply') {
+        await apply(reason);
+      } else if (config.firewallMode === 'dry-run') {
+        await check();
+      }
+    } catch (error) {
+      console.error(`❌ Firewall update after ${reason} failed: ${error.message}`);
+    }
+  }
+
+  function status() {
+    return {
+      mode: config.firewallMode,
+      isolatePeers: config.firewallIsolatePeers,
+      ...last
+    };
+  }
+
+  function start() {
+    stop();
+    if (config.firewallMode === 'off') {
+      return;
+    }
+    // Forwarding left off on purpose (FIREWALL_ENABLE_FORWARDING=false) is reported, not repaired
+    const repairable = () => last.drift.length > 0
+      || (config.firewallEnableForwarding && Object.values(last.forwarding).some(enabled => enabled === false));
+    const tick = () => {
+      check()
+        .then(() => (config.firewallMode === 'apply' && repairable() ? apply(last.appliedAt ? 'drift' : 'startup') : null))
+        .catch(error => console.error(`❌ Firewall check failed: ${error.message}`));
+    };
+    tick();
+    timer = setInterval(tick, config.firewallInterval);
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    check,
+    apply,
+    status,
+    listForwards,
+    addForward,
+    removeForward
+  };
+}
+
+module.exports = {
+  MODES,
+  PROTOCOLS,
+  validateForward,
+  renderRules,
+  renderRestore,
+  createFirewall
+};
@@ -0,0 +1,252 @@
+// Composite health evaluation
+//
+// Health is a set of named checks. Each check reports healthy, degraded or down
+// (or skipped when it does not apply) and carries a weight. The overall status is
+// derived from the weighted score (healthy = 1, degraded = 0.5, down = 0):
+//
+//   - any critical check down          -> down
+//   - score >= HEALTH_HEALTHY_SCORE    -> healthy
+//   - score >= HEALTH_DEGRADED_SCORE   -> degraded
+//   - otherwise                        -> down
+//
+// A weight of 0 disables a check. More checks can be registered with register().
+
+const wg = require('./wireguard');
+
+const HEALTH_SEVERITY = { healthy: 0, degraded: 1, down: 2 };
+const SCORES = { healthy: 1, degraded: 0.5, down: 0 };
+
+const DEFAULT_WEIGHTS = {
+  interface: 3,
+  port: 2,
+  service: 1,
+  handshakes: 1,
+  cpu: 1,
+  memory: 1,
+  backend: 1
+};
+
+function worstStatus(statuses) {
+  return statuses.reduce((worst, status) => (
+    HEALTH_SEVERITY[status] > HEALTH_SEVERITY[worst] ? status : worst
+  ), 'healthy');
+}
+
+// "interface=3,port=2,backend=0" -> { interface: 3, port: 2, backend: 0, ...defaults }
+function parseWeights(raw) {
+  const weights = { ...DEFAULT_WEIGHTS };
+  for (const item of String(raw || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const [name, value] = item.split('=').map(part => part.trim());
+    const weight = Number(value);
+    if (!name || value === undefined || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid weight "${item}" (expected name=number)`);
+    }
+    weights[name] = weight;
+  }
+  return weights;
+}
+
+function parseList(raw) {
+  return String(raw || '').split(',').map(part => part.trim()).filter(Boolean);
+}
+
+// Run a per-interface probe and fold the results into one check result
+async function perInterface(interfaces, probe) {
+  const results = await Promise.all(interfaces.map(async name => ({ interface: name, ...(await probe(name)) })));
+  if (!results.length) {
+    return { status: 'down', message: 'No WireGuard interfaces', details: [] };
+  }
+  const applicable = results.filter(result => result.status !== 'skipped');
+  const status = applicable.length ? worstStatus(applicable.map(result => result.status)) : 'skipped';
+  const failing = applicable.filter(result => result.status !== 'healthy');
+  return {
+    status,
+    message: failing.length ? failing.map(result => result.message).join('; ') : results.map(result => result.message).join('; '),
+    details: results
+  };
+}
+
+function thresholdCheck(label, value, degradedAt, downAt) {
+  if (value === null || value === undefined) {
+    return { status: 'skipped', message: `${label} not sampled yet` };
+  }
+  const status = value >= downAt ? 'down' : value >= degradedAt ? 'degraded' : 'healthy';
+  return { status, message: `${label} ${value}%`, value };
+}
+
+// Built-in checks. deps:
+//   config          - agent config (health* thresholds)
+//   getInterfaces   - async () => [iface]
+//   systemSummary   - () => { cpuUsage, ramUsage } | null values while unknown
+//   outboxStats     - () => outbox stats
+//   startedAt       - agent start time (ms); grace period for the backend check
+function createBuiltinChecks({ config, getInterfaces, systemSummary, outboxStats, startedAt = Date.now() }) {
+  async function dumpOrNull(name) {
+    try {
+      return await wg.dump(name);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    interface: async () => perInterface(await getInterfaces(), async (name) => {
+      const up = (await dumpOrNull(name)) && await wg.isInterfaceUp(name);
+      return up
+        ? { status: 'healthy', message: `${name} is up` }
+        : { status: 'down', message: `WireGuard interface ${name} is down` };
+    }),
+
+    port: async () => perInterface(await getInterfaces(), async (name) => {
+      const state = await dumpOrNull(name);
+      if (!state || !state.listenPort) {
+        return { status: 'down', message: `${name} has no listen port` };
+      }
+      const listening = await wg.isUdpPortListening(state.listenPort);
+      return listening
+        ? { status: 'healthy', message: `UDP ${state.listenPort} is listening`, port: state.listenPort }
+        : { status: 'down', message: `Nothing listens on UDP ${state.listenPort} (${name})`, port: state.listenPort };
+    }),
+
+    service: async () => perInterface(await getInterfaces(), async (name) => {
+      let state;
+      try {
+        state = await wg.serviceState(name);
+      } catch (error) {
+        // No systemd (container, other init): nothing to check
+        return { status: 'skipped', message: `wg-quick@${name} state unavailable (${error.message})` };
+      }
+      return state === 'active'
+        ? { status: 'healthy', message: `wg-quick@${name} is active` }
+        : { status: 'down', message: `wg-quick@${name} is ${state}` };
+    }),
+
+    handshakes: async () => {
+      const now = Math.floor(Date.now() / 1000);
+      let total = 0;
+      let recent = 0;
+      for (const name of await getInterfaces()) {
+        const state = await dumpOrNull(name);
+        for (const peer of state ? state.peers : []) {
+          total += 1;
+          if (peer.latestHandshake && now - peer.latestHandshake <= config.healthHandshakeMaxAge) {
+            recent += 1;
+          }
+        }
+      }
+      if (total === 0) {
+        return { status: 'healthy', message: 'No peers configured yet', total, recent };
+      }
+      const ratio = recent / total;
+      const degraded = recent === 0 || ratio < config.healthHandshakeMinRatio;
+      return {
+        status: degraded ? 'degraded' : 'healthy',
+        message: `${recent} of ${total} peer(s) had a handshake in the last ${config.healthHandshakeMaxAge}s`,
+        total,
+        recent,
+        ratio: Math.round(ratio * 100) / 100
+      };
+    },
+
+    cpu: async () => thresholdCheck('CPU usage', systemSummary().cpuUsage, config.healthCpuDegraded, config.healthCpuDown),
+
+    memory: async () => thresholdCheck('RAM usage', systemSummary().ramUsage, config.healthRamDegraded, config.healthRamDown),
+
+    backend: async () => {
+      const stats = outboxStats();
+      const maxAge = config.healthBackendMaxAge * 1000;
+      const lastContact = stats.lastDeliveredAt ? new Date(stats.lastDeliveredAt).getTime() : null;
+      if (lastContact === null) {
+        return Date.now() - startedAt < maxAge
+          ? { status: 'skipped', message: 'No backend contact yet' }
+          : { status: 'down', message: 'Backend has not been reached since the agent started' };
+      }
+      const age = Math.round((Date.now() - lastContact) / 1000);
+      if (age * 1000 > maxAge) {
+        return { status: 'down', message: `Backend last reached ${age}s ago`, pending: stats.pending };
+      }
+      if (stats.pending > 0) {
+        return { status: 'degraded', message: `${stats.pending} message(s) waiting in the outbox`, pending: stats.pending };
+      }
+      return { status: 'healthy', message: `Backend reached ${age}s ago`, pending: 0 };
+    }
+  };
+}
+
+// options:
+//   config  - agent config (healthWeights, healthCritical, healthHealthyScore, healthDegradedScore)
+function createHealthEvaluator({ config }) {
+  const checks = new Map();
+
+  function register(name, fn) {
+    checks.set(name, fn);
+  }
+
+  async function runCheck(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      return { status: 'down', message: `Check failed: ${error.message}` };
+    }
+  }
+
+  async function evaluate() {
+    const weights = parseWeights(config.healthWeights);
+    const critical = parseList(config.healthCritical);
+    const enabled = Array.from(checks.entries()).filter(([name]) => (weights[name] !== undefined ? weights[name] : 1) > 0);
+
+    // Checks run in parallel; results keep registration order
+    const results = Object.fromEntries(await Promise.all(enabled.map(async ([name, fn]) => [name, {
+      ...(await runCheck(fn)),
+      weight: weights[name] !== undefined ? weights[name] : 1,
+      critical: critical.includes(name)
+    }])));
+
+    const scored = Object.entries(results).filter(([, result]) => result.status !== 'skipped');
+    const totalWeight = scored.reduce((sum, [, result]) => sum + result.weight, 0);
+    const score = totalWeight
+      ? scored.reduce((sum, [, result]) => sum + result.weight * SCORES[result.status], 0) / totalWeight
+      : 1;
+
+    let status;
+    if (scored.some(([, result]) => result.critical && result.status === 'down')) {
+      status = 'down';
+    } else if (score >= config.healthHealthyScore) {
+      status = 'healthy';
+    } else if (score >= config.healthDegradedScore) {
+      status = 'degraded';
+    } else {
+      status = 'down';
+    }
+
+    // Explain with the failing checks, most severe and heaviest first
+    const failing = scored
+      .filter(([, result]) => result.status !== 'healthy')
+      .sort(([, a], [, b]) => (HEALTH_SEVERITY[b.status] - HEALTH_SEVERITY[a.status]) || (b.weight - a.weight));
+    const reason = failing.length
+      ? failing.map(([name, result]) => `${name}: ${result.message}`).join('; ')
+      : 'All checks passed';
+
+    return {
+      status,
+      score: Math.round(score * 100) / 100,
+      reason,
+      checks: results,
+      evaluatedAt: new Date().toISOString()
+    };
+  }
+
+  return {
+    register,
+    evaluate
+  };
+}
+
+module.exports = {
+  HEALTH_SEVERITY,
+  DEFAULT_WEIGHTS,
+  parseWeights,
+  worstStatus,
+  createBuiltinChecks,
+  createHealthEvaluator
+};
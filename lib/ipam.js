@@ -0,0 +1,242 @@
+// IP address management for peer allowed-IPs
+//
+// Pools are configured per interface ("wg0=10.0.0.0/24|fd00::/64;wg1=10.1.0.0/24")
+// or derived from the interface's own addresses. Which addresses are in use is
+// always derived from the live interface, so removing a peer releases its address.
+
+const net = require('net');
+const { ValidationError, ConflictError } = require('./errors');
+
+// Parse an IPv4/IPv6 address into { family, value } where value is a BigInt
+function parseIP(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    const value = address.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(parseInt(octet, 10)), 0n);
+    return { family, value };
+  }
+  if (family === 6) {
+    let text = address;
+    // Embedded IPv4 tail (e.g. ::ffff:10.0.0.1)
+    const v4Tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4Tail) {
+      const v4 = parseIP(v4Tail[1]).value;
+      text = text.slice(0, -v4Tail[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail !== undefined && tail ? tail.split(':') : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    const groups = tail !== undefined
+      ? [...headParts, ...new Array(missing).fill('0'), ...tailParts]
+      : headParts;
+    const value = groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return { family, value };
+  }
+  throw new ValidationError(`Invalid IP address "${address}"`, 'INVALID_ADDRESS');
+}
+
+// Format a BigInt back to an address string (IPv6 in compressed form)
+function formatIP(family, value) {
+  if (family === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+
+  // Compress the longest run of zero groups
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < groups.length;) {
+    if (groups[i] !== '0') {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < groups.length && groups[j] === '0') {
+      j++;
+    }
+    if (j - i > bestLength && j - i > 1) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+  if (bestStart === -1) {
+    return groups.join(':');
+  }
+  const head = groups.slice(0, bestStart).join(':');
+  const tail = groups.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+
+// Parse "addr/prefix" into a range { family, prefix, first, last, cidr }
+function parseCIDR(cidr) {
+  const [address, prefixText] = String(cidr).trim().split('/');
+  const { family, value } = parseIP(address);
+  const bits = family === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? bits : parseInt(prefixText, 10);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+    throw new ValidationError(`Invalid prefix length in "${cidr}"`, 'INVALID_CIDR');
+  }
+  const hostBits = BigInt(bits - prefix);
+  const first = (value >> hostBits) << hostBits;
+  const last = first + (1n << hostBits) - 1n;
+  return { family, prefix, bits, first, last, cidr: `${formatIP(family, first)}/${prefix}` };
+}
+
+function rangesOverlap(a, b) {
+  return a.family === b.family && a.first <= b.last && b.first <= a.last;
+}
+
+// Parse a "start-end" range or a CIDR into a range
+function parseRange(text) {
+  if (text.includes('-')) {
+    const [startText, endText] = text.split('-').map(part => part.trim());
+    const start = parseIP(startText);
+    const end = parseIP(endText);
+    if (start.family !== end.family || end.value < start.value) {
+      throw new ValidationError(`Invalid address range "${text}"`, 'INVALID_RANGE');
+    }
+    return { family: start.family, first: start.value, last: end.value };
+  }
+  return parseCIDR(text);
+}
+
+// Parse "wg0=a|b;wg1=c" into { wg0: ['a', 'b'], wg1: ['c'] }
+function parseInterfaceMap(raw, label) {
+  const result = {};
+  if (!raw) {
+    return result;
+  }
+  for (const entry of raw.split(';').map(item => item.trim()).filter(Boolean)) {
+    const [name, values] = entry.split('=');
+    if (!name || !values) {
+      throw new ValidationError(`Invalid ${label} entry "${entry}": expected iface=value|value`);
+    }
+    result[name.trim()] = values.split('|').map(item => item.trim()).filter(Boolean);
+  }
+  return result;
+}
+
+// Address pools per interface: { wg0: [range, ...] }
+function parsePools(raw) {
+  const map = parseInterfaceMap(raw, 'address pool');
+  const pools = {};
+  for (const [name, cidrs] of Object.entries(map)) {
+    pools[name] = cidrs.map(parseCIDR);
+  }
+  return pools;
+}
+
+// Reserved ranges per interface: { wg0: [range, ...] }
+function parseReserved(raw) {
+  const map = parseInterfaceMap(raw, 'reserved range');
+  const reserved = {};
+  for (const [name, ranges] of Object.entries(map)) {
+    reserved[name] = ranges.map(parseRange);
+  }
+  return reserved;
+}
+
+// Peers whose allowed IPs overlap the requested CIDRs (ignoring the peer itself)
+function findConflicts(cidrs, peers, publicKey = null) {
+  const requested = cidrs.map(parseCIDR);
+  const conflicts = [];
+  for (const peer of peers) {
+    if (peer.publicKey === publicKey) {
+      continue;
+    }
+    for (const allowed of peer.allowedIPs) {
+      const range = parseCIDR(allowed);
+      const hit = requested.find(item => rangesOverlap(item, range));
+      if (hit) {
+        conflicts.push({ publicKey: peer.publicKey, allowedIP: allowed, requested: hit.cidr });
+      }
+    }
+  }
+  return conflicts;
+}
+
+// Next free host address in a pool, skipping used and excluded ranges. Returns null when exhausted.
+function nextFree(pool, blocked) {
+  // Skip the network address (IPv6: subnet-router anycast) and the IPv4 broadcast address
+  const skipEdges = pool.last - pool.first > 1n;
+  let candidate = skipEdges ? pool.first + 1n : pool.first;
+  const end = skipEdges && pool.family === 4 ? pool.last - 1n : pool.last;
+  const relevant = blocked.filter(range => rangesOverlap(range, pool));
+
+  while (candidate <= end) {
+    const hit = relevant.find(range => candidate >= range.first && candidate <= range.last);
+    if (!hit) {
+      return candidate;
+    }
+    candidate = hit.last + 1n;
+  }
+  return null;
+}
+
+// Allocate one host address from every pool (one IPv4 and/or one IPv6 address).
+// used: CIDRs already assigned to peers; excluded: server addresses and reserved ranges.
+function allocate({ pools, used = [], excluded = [] }) {
+  if (!pools || pools.length === 0) {
+    throw new ValidationError('No address pool configured for this interface; pass allowedIPs explicitly', 'NO_ADDRESS_POOL');
+  }
+
+  const blocked = [...used.map(parseCIDR), ...excluded];
+  return pools.map((pool) => {
+    const address = nextFree(pool, blocked);
+    if (address === null) {
+      throw new ConflictError(`Address pool ${pool.cidr} is exhausted`, 'POOL_EXHAUSTED');
+    }
+    return `${formatIP(pool.family, address)}/${pool.bits}`;
+  });
+}
+
+// Usage summary of one pool
+function poolUsage(pool, used, excluded) {
+  const edges = pool.last - pool.first > 1n ? (pool.family === 4 ? 2n : 1n) : 0n;
+  const size = pool.last - pool.first + 1n - edges;
+  const assigned = used.map(parseCIDR).filter(range => rangesOverlap(range, pool) && range.prefix === range.bits);
+  const next = nextFree(pool, [...used.map(parseCIDR), ...excluded]);
+  return {
+    cidr: pool.cidr,
+    family: pool.family === 4 ? 'ipv4' : 'ipv6',
+    size: size.toString(),
+    assigned: assigned.length,
+    next: next === null ? null : formatIP(pool.family, next)
+  };
+}
+
+// Serialize allocation per interface so concurrent adds cannot pick the same address
+function createLock() {
+  const tails = new Map();
+  return function withLock(key, fn) {
+    const previous = tails.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    const tail = current.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    });
+    return current;
+  };
+}
+
+module.exports = {
+  parseIP,
+  formatIP,
+  parseCIDR,
+  parseRange,
+  rangesOverlap,
+  parsePools,
+  parseReserved,
+  findConflicts,
+  allocate,
+  poolUsage,
+  createLock
+};
@@ -0,0 +1,159 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4)
+//
+// Counters, gauges and histograms keep their values in memory; collectors run
+// on every scrape to refresh gauges that are cheaper to read on demand (peer
+// counters, connection state, ...).
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function createMetric(type, name, help) {
+  const series = new Map(); // labelKey -> { labels, value }
+
+  function entry(labels) {
+    const key = labelKey(labels);
+    if (!series.has(key)) {
+      series.set(key, { labels, value: 0 });
+    }
+    return series.get(key);
+  }
+
+  return {
+    type,
+    name,
+    help,
+    series,
+    entry,
+    reset: () => series.clear()
+  };
+}
+
+function createRegistry() {
+  const metrics = [];
+  const collectors = [];
+
+  function register(metric) {
+    if (metrics.some(item => item.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help) {
+    const metric = register(createMetric('counter', name, help));
+    return {
+      inc: (labels = {}, amount = 1) => {
+        metric.entry(labels).value += amount;
+      },
+      // Mirror a counter maintained elsewhere (e.g. the kernel's transfer counters)
+      set: (labels, value) => {
+        metric.entry(labels).value = value;
+      },
+      reset: metric.reset
+    };
+  }
+
+  function gauge(name, help) {
+    const metric = register(createMetric('gauge', name, help));
+    return {
+      set: (labels, value) => {
+        metric.entry(labels).value = value;
+      },
+      // Drop all series, e.g. before a collector re-reads the current peers
+      reset: metric.reset
+    };
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = register(createMetric('histogram', name, help));
+    return {
+      observe: (labels, value) => {
+        const item = metric.entry(labels);
+        if (!item.buckets) {
+          item.buckets = buckets.map(le => ({ le, count: 0 }));
+          item.sum = 0;
+          item.count = 0;
+        }
+        for (const bucket of item.buckets) {
+          if (value <= bucket.le) {
+            bucket.count += 1;
+          }
+        }
+        item.sum += value;
+        item.count += 1;
+      }
+    };
+  }
+
+  // fn: async () => void, runs before each render
+  function collect(fn) {
+    collectors.push(fn);
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    for (const { labels, value, buckets, sum, count } of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(value)}`);
+        continue;
+      }
+      for (const bucket of buckets) {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bucket.le })} ${bucket.count}`);
+      }
+      lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines.join('\n');
+  }
+
+  async function render() {
+    for (const fn of collectors) {
+      try {
+        await fn();
+      } catch (error) {
+        console.error(`⚠️  Metrics collector failed: ${error.message}`);
+      }
+    }
+    return `${metrics.map(renderMetric).join('\n')}\n`;
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    collect,
+    render,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8'
+  };
+}
+
+module.exports = {
+  createRegistry
+};
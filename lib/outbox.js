@@ -0,0 +1,247 @@
+// Disk-backed outbox for messages to the backend
+//
+// Heartbeats, command results and events go straight to the backend while it is
+// reachable. When a delivery fails the message is queued in DATA_DIR/outbox.json
+// and everything after it is queued too, so the backend receives messages in the
+// order they happened. The queue is replayed with backoff once the backend is
+// back. Queued heartbeats are downsampled to one per OUTBOX_HEARTBEAT_INTERVAL
+// and the queue is capped by item count and size (oldest heartbeats go first).
+//
+// Secrets are not written to the queue file: a provisioned client's private key,
+// config and QR code are replaced by null and the message is marked as redacted.
+//
+// Replayed messages carry an "outbox" field: { seq, queuedAt, replay: true, redacted }.
+
+const path = require('path');
+const { readJson, writeJson, createWriteQueue } = require('./store');
+const { describeError } = require('./backend');
+const { backoffDelay } = require('./wsclient');
+
+const SECRET_FIELDS = ['privateKey', 'presharedKey', 'config', 'qrCode'];
+const RETRY_BASE_DELAY = 5 * 1000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+// Network errors, timeouts, throttling and server errors are worth retrying;
+// other 4xx responses mean the backend rejected the message itself
+function isRetryable(error) {
+  if (!error.response) {
+    return true;
+  }
+  const status = error.response.status;
+  return status >= 500 || status === 408 || status === 429;
+}
+
+// Copy of a message without secrets; reports whether anything was removed
+function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(redactSecrets);
+    return { value: items.map(item => item.value), redacted: items.some(item => item.redacted) };
+  }
+  if (!value || typeof value !== 'object') {
+    return { value, redacted: false };
+  }
+  let redacted = false;
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_FIELDS.includes(key) && item) {
+      copy[key] = null;
+      redacted = true;
+    } else {
+      const inner = redactSecrets(item);
+      copy[key] = inner.value;
+      redacted = redacted || inner.redacted;
+    }
+  }
+  return { value: copy, redacted };
+}
+
+// options:
+//   config   - agent config (dataDir, outboxMaxItems, outboxMaxBytes, outboxHeartbeatInterval)
+//   backend  - backend client
+function createOutbox({ config, backend }) {
+  const queue = createWriteQueue();
+  let state = { version: 1, seq: 0, items: [] };
+  let loaded = false;
+  let flushing = null;
+  let timer = null;
+  let failures = 0;
+  let running = false;
+  let lastDeliveredAt = null;
+
+  const file = () => path.join(config.dataDir, 'outbox.json');
+
+  async function ensureLoaded() {
+    if (!loaded) {
+      state = await readJson(file(), { version: 1, seq: 0, items: [] });
+      loaded = true;
+    }
+  }
+
+  function save() {
+    return queue(() => writeJson(file(), state));
+  }
+
+  function totalBytes() {
+    return state.items.reduce((sum, item) => sum + item.size, 0);
+  }
+
+  // Drop the oldest heartbeats, then the oldest messages, until within limits
+  function trim() {
+    let dropped = 0;
+    const overLimit = () => state.items.length > config.outboxMaxItems || totalBytes() > config.outboxMaxBytes;
+    while (overLimit()) {
+      const heartbeat = state.items.findIndex(item => item.kind === 'heartbeat');
+      state.items.splice(heartbeat >= 0 ? heartbeat : 0, 1);
+      dropped += 1;
+    }
+    if (dropped) {
+      console.warn(`⚠️  Outbox full, dropped ${dropped} oldest message(s)`);
+    }
+  }
+
+  async function enqueue(kind, urlPath, data, now = Date.now()) {
+    await ensureLoaded();
+    if (kind === 'heartbeat') {
+      const last = [...state.items].reverse().find(item => item.kind === 'heartbeat');
+      if (last && now - new Date(last.queuedAt).getTime() < config.outboxHeartbeatInterval) {
+        return false;
+      }
+    }
+    const safe = redactSecrets(data);
+    if (safe.redacted) {
+      console.warn(`⚠️  Queued ${kind} without its secrets (client keys and configs are not stored on disk)`);
+    }
+    state.seq += 1;
+    state.items.push({
+      seq: state.seq,
+      kind,
+      path: urlPath,
+      data: safe.value,
+      redacted: safe.redacted,
+      queuedAt: new Date(now).toISOString(),
+      attempts: 0,
+      size: Buffer.byteLength(JSON.stringify(safe.value))
+    });
+    trim();
+    await save();
+    return true;
+  }
+
+  function scheduleFlush(delay) {
+    if (!running || timer) {
+      return;
+    }
+    timer = setTimeout(() => {
+      timer = null;
+      flush().catch(error => console.error(`❌ Outbox replay failed: ${error.message}`));
+    }, delay);
+  }
+
+  // Replay queued messages in order; stops at the first retryable failure
+  function flush() {
+    if (!flushing) {
+      flushing = (async () => {
+        await ensureLoaded();
+        let sent = 0;
+        while (state.items.length) {
+          const item = state.items[0];
+          try {
+            await backend.post(item.path, {
+              ...item.data,
+              outbox: { seq: item.seq, queuedAt: item.queuedAt, replay: true, redacted: Boolean(item.redacted) }
+            });
+            sent += 1;
+            lastDeliveredAt = new Date().toISOString();
+          } catch (error) {
+            if (isRetryable(error)) {
+              item.attempts += 1;
+              failures += 1;
+              await save();
+              scheduleFlush(backoffDelay(failures, RETRY_BASE_DELAY, RETRY_MAX_DELAY));
+              return sent;
+            }
+            console.error(`❌ Backend rejected queued ${item.kind} #${item.seq}, dropping it: ${describeError(error, config)}`);
+          }
+          state.items.shift();
+          await save();
+        }
+        if (failures > 0 || sent > 0) {
+          console.log(`📤 Outbox drained, ${sent} queued message(s) delivered`);
+        }
+        failures = 0;
+        return sent;
+      })().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  // Send a message now, or queue it when the backend is unreachable or older
+  // messages are still waiting. Resolves { sent, data } or { sent: false, queued, error }.
+  async function deliver(kind, urlPath, data) {
+    await ensureLoaded();
+    if (!state.items.length && !flushing) {
+      try {
+        const response = await backend.post(urlPath, data);
+        lastDeliveredAt = new Date().toISOString();
+        return { sent: true, data: response };
+      } catch (error) {
+        if (!isRetryable(error)) {
+          throw error;
+        }
+        const queued = await enqueue(kind, urlPath, data);
+        failures += 1;
+        scheduleFlush(backoffDelay(failures, RETRY_BASE_DELAY, RETRY_MAX_DELAY));
+        return { sent: false, queued, error };
+      }
+    }
+    const queued = await enqueue(kind, urlPath, data);
+    if (!flushing) {
+      scheduleFlush(0);
+    }
+    return { sent: false, queued, error: null };
+  }
+
+  function stats() {
+    const oldest = state.items[0];
+    return {
+      pending: state.items.length,
+      bytes: totalBytes(),
+      oldestQueuedAt: oldest ? oldest.queuedAt : null,
+      lastDeliveredAt,
+      byKind: state.items.reduce((acc, item) => ({ ...acc, [item.kind]: (acc[item.kind] || 0) + 1 }), {})
+    };
+  }
+
+  async function start() {
+    await ensureLoaded();
+    running = true;
+    if (state.items.length) {
+      console.log(`📤 Outbox has ${state.items.length} queued message(s), replaying`);
+      scheduleFlush(0);
+    }
+  }
+
+  function stop() {
+    running = false;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    deliver,
+    flush,
+    stats
+  };
+}
+
+module.exports = {
+  isRetryable,
+  redactSecrets,
+  createOutbox
+};
@@ -0,0 +1,209 @@
+// The agent's own peer database
+//
+// DATA_DIR/peers.json holds every peer the agent manages per interface: keys,
+// addresses and metadata (user id, labels) that WireGuard itself does not keep.
+// Interface config files are rendered from it. Changes are made in memory and
+// written with save() once they have been applied, so a failed apply can be
+// undone with restore().
+
+const path = require('path');
+const { readJson, writeJson, createWriteQueue } = require('./store');
+const { ValidationError } = require('./errors');
+
+const MAX_LABELS = 32;
+const MAX_LABEL_LENGTH = 256;
+
+function validateUserId(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  // Rendered into config files as a comment, so no control characters
+  if ((typeof value !== 'string' && typeof value !== 'number') || String(value).length > 128 || /[\x00-\x1f\x7f]/.test(String(value))) {
+    throw new ValidationError('userId must be a string or number of at most 128 printable characters', 'INVALID_METADATA');
+  }
+  return String(value);
+}
+
+// Labels are a flat map of short strings
+function validateLabels(value) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new ValidationError('labels must be an object of string values', 'INVALID_METADATA');
+  }
+  const entries = Object.entries(value);
+  if (entries.length > MAX_LABELS) {
+    throw new ValidationError(`At most ${MAX_LABELS} labels are allowed`, 'INVALID_METADATA');
+  }
+  const labels = {};
+  for (const [key, item] of entries) {
+    if (!/^[A-Za-z0-9_.-]{1,64}$/.test(key)) {
+      throw new ValidationError(`Invalid label name "${key}"`, 'INVALID_METADATA');
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof item) || String(item).length > MAX_LABEL_LENGTH) {
+      throw new ValidationError(`Label "${key}" must be a short string`, 'INVALID_METADATA');
+    }
+    labels[key] = String(item);
+  }
+  return labels;
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// options:
+//   config - agent config (dataDir)
+function createPeerStore({ config }) {
+  const queue = createWriteQueue();
+  let state = { version: 1, interfaces: {} };
+  let loaded = false;
+
+  const file = () => path.join(config.dataDir, 'peers.json');
+
+  async function load() {
+    if (!loaded) {
+      state = await readJson(file(), { version: 1, interfaces: {} });
+      loaded = true;
+    }
+  }
+
+  function save() {
+    return queue(() => writeJson(file(), state));
+  }
+
+  // Read-only view: an interface only gets an entry through a change or an import
+  function peersOf(iface) {
+    return state.interfaces[iface] ? state.interfaces[iface].peers : {};
+  }
+
+  function writablePeersOf(iface) {
+    if (!state.interfaces[iface]) {
+      state.interfaces[iface] = { peers: {} };
+    }
+    return state.interfaces[iface].peers;
+  }
+
+  // Whether the interface's peers have been imported (or changed through the store)
+  function hasInterface(iface) {
+    return Boolean(state.interfaces[iface]);
+  }
+
+  function list(iface) {
+    return Object.values(peersOf(iface));
+  }
+
+  // Peers that belong on the interface right now (not disabled)
+  function active(iface) {
+    return list(iface).filter(peer => !peer.disabled);
+  }
+
+  function get(iface, publicKey) {
+    return peersOf(iface)[publicKey] || null;
+  }
+
+  // Interface and entry of a public key on any interface, or null
+  function find(publicKey) {
+    for (const [iface, { peers }] of Object.entries(state.interfaces)) {
+      if (peers[publicKey]) {
+        return { interface: iface, peer: peers[publicKey] };
+      }
+    }
+    return null;
+  }
+
+  // Create or update a peer; fields that are not given keep their value
+  function upsert(iface, publicKey, fields) {
+    const peers = writablePeersOf(iface);
+    const now = new Date().toISOString();
+    const existing = peers[publicKey];
+    const entry = existing || {
+      publicKey,
+      allowedIPs: [],
+      presharedKey: null,
+      persistentKeepalive: null,
+      endpoint: null,
+      userId: null,
+      labels: {},
+      disabled: null,
+      createdAt: now
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        entry[key] = value;
+      }
+    }
+    entry.updatedAt = now;
+    peers[publicKey] = entry;
+    return entry;
+  }
+
+  function remove(iface, publicKey) {
+    const peers = peersOf(iface);
+    const existing = peers[publicKey] || null;
+    if (existing) {
+      delete peers[publicKey];
+    }
+    return existing;
+  }
+
+  // Make the interface's peers match a config (rollback, import), keeping metadata of peers that stay
+  function replace(iface, peers) {
+    const current = peersOf(iface);
+    const next = {};
+    for (const peer of peers) {
+      const existing = current[peer.publicKey];
+      next[peer.publicKey] = {
+        ...(existing || { userId: peer.userId || null, labels: {}, createdAt: new Date().toISOString() }),
+        publicKey: peer.publicKey,
+        allowedIPs: peer.allowedIPs,
+        presharedKey: peer.presharedKey || null,
+        persistentKeepalive: peer.persistentKeepalive || null,
+        endpoint: peer.endpoint || null,
+        disabled: null,
+        updatedAt: new Date().toISOString()
+      };
+    }
+    // Disabled peers are not in config files; keep them
+    for (const [publicKey, entry] of Object.entries(current)) {
+      if (entry.disabled && !next[publicKey]) {
+        next[publicKey] = entry;
+      }
+    }
+    state.interfaces[iface] = { peers: next };
+  }
+
+  function snapshot(iface) {
+    return state.interfaces[iface] ? clone(state.interfaces[iface]) : null;
+  }
+
+  function restore(iface, saved) {
+    if (saved) {
+      state.interfaces[iface] = saved;
+    } else {
+      delete state.interfaces[iface];
+    }
+  }
+
+  return {
+    load,
+    save,
+    hasInterface,
+    list,
+    active,
+    get,
+    find,
+    upsert,
+    remove,
+    replace,
+    snapshot,
+    restore
+  };
+}
+
+module.exports = {
+  validateUserId,
+  validateLabels,
+  createPeerStore
+};
@@ -0,0 +1,134 @@
+// HTTP polling transport for backend commands
+//
+// For networks where WebSockets do not survive (proxies, middleboxes) the agent
+// pulls pending commands with GET /agent/commands/:serverId, runs them through
+// the same dispatcher as the WebSocket transport and posts the replies to
+// POST /agent/commands/:serverId/results through the outbox, which keeps replies
+// the backend did not receive. Commands are idempotent by id, so a command the
+// backend hands out twice is not applied twice.
+//
+// The backend may hold the GET open until commands arrive (long polling); the
+// agent asks for that with ?wait=<seconds> when POLL_WAIT is set.
+
+const { PROTOCOL_VERSION, validateEnvelope } = require('./commands');
+const { describeError } = require('./backend');
+const { backoffDelay } = require('./wsclient');
+
+// Commands may be envelopes or old-style { type, ...fields } messages
+function toEnvelope(command) {
+  if (command && command.v === undefined && typeof command.type === 'string') {
+    const { type, id, ...payload } = command;
+    return { v: PROTOCOL_VERSION, id: id === undefined ? undefined : String(id), type, payload };
+  }
+  return command;
+}
+
+// options:
+//   config      - agent config (serverId, pollInterval, pollWait, wsReconnectMaxDelay)
+//   backend     - backend client
+//   dispatcher  - command dispatcher (lib/commands)
+//   outbox      - outbox for the replies (lib/outbox)
+function createCommandPoller({ config, backend, dispatcher, outbox }) {
+  let running = false;
+  let polling = false;
+  let timer = null;
+  let failures = 0;
+
+  const commandsPath = () => `/agent/commands/${encodeURIComponent(config.serverId)}`;
+
+  // Fetch and run one batch of commands; resolves the number of commands received
+  async function pollOnce() {
+    const wait = config.pollWait;
+    const response = await backend.get(commandsPath(), {
+      params: wait ? { wait } : undefined,
+      timeout: (wait + 10) * 1000
+    });
+    const list = Array.isArray(response) ? response : (response && response.commands) || [];
+
+    const results = [];
+    for (const command of list) {
+      const message = toEnvelope(command);
+      const invalid = message && typeof message === 'object' ? validateEnvelope(message) : 'Command must be an object';
+      if (invalid) {
+        results.push({ v: PROTOCOL_VERSION, type: 'error', id: (message && message.id) || null, success: false, error: { code: 'BAD_REQUEST', message: invalid } });
+        continue;
+      }
+      const outcome = await dispatcher.dispatch(message, { transport: 'polling' });
+      results.push(dispatcher.reply(message.id, message.type, outcome));
+    }
+
+    if (results.length) {
+      try {
+        await outbox.deliver('command_result', `${commandsPath()}/results`, { serverId: config.serverId, results });
+      } catch (error) {
+        console.error(`❌ Backend rejected command results: ${describeError(error, config)}`);
+      }
+    }
+    return list.length;
+  }
+
+  function schedule(delay) {
+    if (running) {
+      timer = setTimeout(tick, delay);
+    }
+  }
+
+  async function tick() {
+    timer = null;
+    polling = true;
+    try {
+      const received = await pollOnce();
+      if (failures > 0) {
+        console.log('📥 Command polling recovered');
+      }
+      failures = 0;
+      // Drain the queue right away while the backend has more
+      schedule(received > 0 ? 0 : config.pollInterval);
+    } catch (error) {
+      // Log the first failure only; polling keeps retrying quietly with backoff
+      if (failures === 0) {
+        console.error(`❌ Command polling failed: ${describeError(error, config)}`);
+      }
+      failures += 1;
+      schedule(backoffDelay(failures, config.pollInterval, Math.max(config.pollInterval, config.wsReconnectMaxDelay)));
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    if (running) {
+      return;
+    }
+    running = true;
+    failures = 0;
+    console.log(`📥 Polling backend for commands every ${config.pollInterval / 1000}s`);
+    // A poll still in flight from before a stop() schedules the next one itself
+    if (!polling) {
+      schedule(0);
+    }
+  }
+
+  function stop() {
+    if (!running) {
+      return;
+    }
+    running = false;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    console.log('📥 Command polling stopped');
+  }
+
+  return {
+    start,
+    stop,
+    pollOnce,
+    isRunning: () => running
+  };
+}
+
+module.exports = {
+  createCommandPoller
+};
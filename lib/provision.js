@@ -0,0 +1,96 @@
+// Client provisioning: wg-quick client config text and QR code rendering
+
+const net = require('net');
+const QRCode = require('qrcode');
+const { ValidationError } = require('./errors');
+
+const QR_FORMATS = ['png', 'svg', 'none'];
+
+// host:port, with IPv6 literals in brackets
+function formatEndpoint(host, port) {
+  return net.isIP(host) === 6 ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+// Validate a DNS server list (array or comma-separated string)
+function validateDnsList(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const servers = list.map(item => String(item).trim()).filter(Boolean);
+  for (const server of servers) {
+    if (!net.isIP(server)) {
+      throw new ValidationError(`Invalid DNS server "${server}"`, 'INVALID_DNS');
+    }
+  }
+  return servers;
+}
+
+// Render a complete client config for wg-quick / the WireGuard apps
+function renderClientConfig({
+  privateKey,
+  addresses,
+  dns = [],
+  mtu = null,
+  serverPublicKey,
+  presharedKey = null,
+  endpoint,
+  allowedIPs,
+  persistentKeepalive = null
+}) {
+  const lines = [
+    '[Interface]',
+    `PrivateKey = ${privateKey}`,
+    `Address = ${addresses.join(', ')}`
+  ];
+  if (dns.length > 0) {
+    lines.push(`DNS = ${dns.join(', ')}`);
+  }
+  if (mtu) {
+    lines.push(`MTU = ${mtu}`);
+  }
+
+  lines.push(
+    '',
+    '[Peer]',
+    `PublicKey = ${serverPublicKey}`
+  );
+  if (presharedKey) {
+    lines.push(`PresharedKey = ${presharedKey}`);
+  }
+  lines.push(
+    `Endpoint = ${endpoint}`,
+    `AllowedIPs = ${allowedIPs.join(', ')}`
+  );
+  if (persistentKeepalive) {
+    lines.push(`PersistentKeepalive = ${persistentKeepalive}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function validateQRFormat(format) {
+  const value = format === undefined || format === null || format === '' ? 'png' : String(format).toLowerCase();
+  if (!QR_FORMATS.includes(value)) {
+    throw new ValidationError(`qr must be one of: ${QR_FORMATS.join(', ')}`, 'INVALID_QR_FORMAT');
+  }
+  return value;
+}
+
+// QR code of the config: PNG as a data URL or SVG markup. Returns null for "none".
+async function renderQRCode(text, format = 'png') {
+  const value = validateQRFormat(format);
+  if (value === 'none') {
+    return null;
+  }
+  if (value === 'svg') {
+    return { format: 'svg', data: await QRCode.toString(text, { type: 'svg', errorCorrectionLevel: 'M' }) };
+  }
+  return { format: 'png', data: await QRCode.toDataURL(text, { errorCorrectionLevel: 'M' }) };
+}
+
+module.exports = {
+  QR_FORMATS,
+  formatEndpoint,
+  validateDnsList,
+  renderClientConfig,
+  validateQRFormat,
+  renderQRCode
+};
@@ -0,0 +1,244 @@
+// Desired-state reconciliation against the backend's peer list
+//
+// The backend is authoritative: GET /agent/peers/:serverId returns the peers this
+// server should have. Each run diffs that list against the live interfaces and,
+// unless it is a dry run, adds missing peers, removes unknown ones and fixes
+// allowed IPs. Every run produces a report that is also posted to the backend.
+
+const wg = require('./wireguard');
+const { describeError } = require('./backend');
+
+const MODES = ['off', 'dry-run', 'apply'];
+
+function sameSet(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  const sorted = list => [...list].sort().join(',');
+  return sorted(a) === sorted(b);
+}
+
+// Normalize the backend payload ({ peers: [...] } or [...]) into valid entries and errors
+function normalizeDesired(payload, defaultInterface) {
+  const list = Array.isArray(payload) ? payload : (payload && payload.peers);
+  if (!Array.isArray(list)) {
+    throw new Error('Backend peer list is missing a "peers" array');
+  }
+
+  const peers = [];
+  const invalid = [];
+  for (const item of list) {
+    try {
+      const publicKey = wg.validatePublicKey(item && item.publicKey);
+      const iface = item.interface ? wg.validateInterfaceName(item.interface) : defaultInterface;
+      const allowedIPs = item.allowedIPs ? wg.validateAllowedIPs(item.allowedIPs) : null;
+      peers.push({ publicKey, interface: iface, allowedIPs });
+    } catch (error) {
+      invalid.push({ publicKey: (item && item.publicKey) || null, error: error.message });
+    }
+  }
+  return { peers, invalid };
+}
+
+// Compute adds/removes/updates for one interface.
+// Desired peers without allowedIPs leave address assignment to the agent.
+function diffInterface(iface, desired, live) {
+  const liveByKey = new Map(live.map(peer => [peer.publicKey, peer]));
+  const desiredKeys = new Set(desired.map(peer => peer.publicKey));
+
+  const toAdd = [];
+  const toUpdate = [];
+  for (const peer of desired) {
+    const current = liveByKey.get(peer.publicKey);
+    if (!current) {
+      toAdd.push({ publicKey: peer.publicKey, allowedIPs: peer.allowedIPs });
+    } else if (peer.allowedIPs && !sameSet(peer.allowedIPs, current.allowedIPs)) {
+      toUpdate.push({ publicKey: peer.publicKey, from: current.allowedIPs, to: peer.allowedIPs });
+    }
+  }
+
+  const toRemove = live
+    .filter(peer => !desiredKeys.has(peer.publicKey))
+    .map(peer => ({ publicKey: peer.publicKey, allowedIPs: peer.allowedIPs }));
+
+  return { interface: iface, liveCount: live.length, desiredCount: desired.length, toAdd, toRemove, toUpdate };
+}
+
+// options:
+//   config          - agent config (serverId, reconcileMode, reconcileInterval, reconcileMaxRemovals)
+//   backend         - backend client
+//   getInterfaces   - async () => [iface]
+//   dumpInterface   - async (iface) => parsed dump
+//   addPeer         - async (publicKey, allowedIPs, { interface }) => result
+//   removePeer      - async (publicKey, { interface }) => result
+//   suspendedPeers  - async (iface) => [{ publicKey, allowedIPs }]; peers taken off the interface
+//                     by the agent (quota) that still belong to it
+//   suppressedReason - async (publicKey) => string | null; peers the agent deliberately keeps off
+//                      the interface (e.g. expired) are not re-added
+function createReconciler({
+  config,
+  backend,
+  getInterfaces,
+  dumpInterface,
+  addPeer,
+  removePeer,
+  suspendedPeers,
+  suppressedReason
+}) {
+  let timer = null;
+  let running = null;
+  let lastReport = null;
+
+  async function reconcile({ dryRun = false } = {}) {
+    const startedAt = new Date().toISOString();
+    const interfaces = await getInterfaces();
+    const payload = await backend.get(`/agent/peers/${encodeURIComponent(config.serverId)}`);
+    const desired = normalizeDesired(payload, interfaces[0]);
+
+    const report = {
+      startedAt,
+      finishedAt: null,
+      dryRun,
+      desiredCount: desired.peers.length,
+      invalid: desired.invalid,
+      interfaces: [],
+      skipped: [],
+      failed: [],
+      applied: [],
+      drift: false
+    };
+
+    for (const peer of desired.peers) {
+      if (!interfaces.includes(peer.interface)) {
+        report.skipped.push({ publicKey: peer.publicKey, interface: peer.interface, reason: 'Interface not managed by this agent' });
+      }
+    }
+
+    for (const iface of interfaces) {
+      // Suspended peers count as present: not re-added, but removed if the backend dropped them
+      const suspended = await suspendedPeers(iface);
+      const suspendedKeys = new Set(suspended.map(peer => peer.publicKey));
+      // An interface that cannot be read is reported and left alone; the others go on
+      let state;
+      try {
+        state = await dumpInterface(iface);
+      } catch (error) {
+        report.failed.push({ interface: iface, error: error.message });
+        console.error(`❌ Reconcile skipped ${iface}: ${error.message}`);
+        continue;
+      }
+      const live = [...state.peers, ...suspended];
+      const diff = diffInterface(iface, desired.peers.filter(peer => peer.interface === iface), live);
+      diff.toUpdate = diff.toUpdate.filter(item => !suspendedKeys.has(item.publicKey));
+
+      // Leave out peers the agent keeps off the interface on purpose
+      const adds = [];
+      for (const item of diff.toAdd) {
+        const reason = await suppressedReason(item.publicKey);
+        if (reason) {
+          report.skipped.push({ publicKey: item.publicKey, interface: iface, reason });
+        } else {
+          adds.push(item);
+        }
+      }
+      diff.toAdd = adds;
+      report.interfaces.push(diff);
+    }
+
+    report.drift = report.interfaces.some(diff => diff.toAdd.length || diff.toRemove.length || diff.toUpdate.length);
+
+    if (!dryRun && report.drift) {
+      const removals = report.interfaces.reduce((count, diff) => count + diff.toRemove.length, 0);
+      const removalsAllowed = removals <= config.reconcileMaxRemovals;
+      if (!removalsAllowed) {
+        report.skipped.push({
+          reason: `${removals} removals exceed RECONCILE_MAX_REMOVALS (${config.reconcileMaxRemovals}); removals not applied`
+        });
+      }
+
+      for (const diff of report.interfaces) {
+        const iface = diff.interface;
+        if (removalsAllowed) {
+          for (const item of diff.toRemove) {
+            const result = await removePeer(item.publicKey, { interface: iface });
+            report.applied.push({ action: 'remove', interface: iface, publicKey: item.publicKey, success: result.success, error: result.error });
+          }
+        }
+        for (const item of diff.toUpdate) {
+          const result = await addPeer(item.publicKey, item.to, { interface: iface });
+          report.applied.push({ action: 'update', interface: iface, publicKey: item.publicKey, success: result.success, error: result.error });
+        }
+        for (const item of diff.toAdd) {
+          const result = await addPeer(item.publicKey, item.allowedIPs, { interface: iface });
+          report.applied.push({ action: 'add', interface: iface, publicKey: item.publicKey, success: result.success, error: result.error });
+        }
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    lastReport = report;
+
+    const counts = report.interfaces.reduce((acc, diff) => ({
+      add: acc.add + diff.toAdd.length,
+      remove: acc.remove + diff.toRemove.length,
+      update: acc.update + diff.toUpdate.length
+    }), { add: 0, remove: 0, update: 0 });
+    if (report.drift) {
+      console.log(`🔄 Reconcile${dryRun ? ' (dry run)' : ''}: +${counts.add} -${counts.remove} ~${counts.update}`);
+    }
+
+    try {
+      await backend.post(`/agent/reconcile/${encodeURIComponent(config.serverId)}`, { serverId: config.serverId, report });
+    } catch (error) {
+      console.error(`⚠️  Could not send reconcile report: ${describeError(error, config)}`);
+    }
+
+    return report;
+  }
+
+  // Run once; runs never overlap
+  function run(options = {}) {
+    const next = (running || Promise.resolve()).catch(() => {}).then(() => reconcile(options));
+    running = next;
+    next.catch(() => {}).then(() => {
+      if (running === next) {
+        running = null;
+      }
+    });
+    return next;
+  }
+
+  function start() {
+    stop();
+    if (config.reconcileMode === 'off') {
+      return;
+    }
+    const tick = () => {
+      run({ dryRun: config.reconcileMode !== 'apply' })
+        .catch(error => console.error(`❌ Reconcile failed: ${describeError(error, config)}`));
+    };
+    tick();
+    timer = setInterval(tick, config.reconcileInterval);
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    run,
+    getLastReport: () => lastReport
+  };
+}
+
+module.exports = {
+  MODES,
+  normalizeDesired,
+  diffInterface,
+  createReconciler
+};
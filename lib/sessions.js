@@ -0,0 +1,348 @@
+// Peer presence and session history
+//
+// The tracker samples every interface's dump and follows each peer through
+//
+//   offline --(recent handshake)--> connected --(no traffic)--> idle
+//      ^                                 |                        |
+//      +------(handshake too old)--------+------------------------+
+//
+// A handshake is recent while it is younger than PEER_DISCONNECT_AFTER (WireGuard
+// drops session keys after 180 s without a new handshake). A connected peer
+// becomes idle when it moves less than PEER_ACTIVITY_MIN_BYTES per sample for
+// PEER_IDLE_AFTER; handshakes and keepalives alone stay below that.
+//
+// Every transition is reported (peer_connected, peer_idle, peer_disconnected,
+// endpoint_changed). Each connection is a session (start, end, bytes, endpoints);
+// finished sessions are kept in DATA_DIR/sessions.json, SESSION_HISTORY_SIZE per peer.
+
+const path = require('path');
+const { readJson, writeJson, createWriteQueue } = require('./store');
+
+const STATES = ['offline', 'connected', 'idle'];
+const MAX_ENDPOINTS = 10;
+
+function iso(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
+// options:
+//   config          - agent config (dataDir, peerSampleInterval, peerIdleAfter, peerDisconnectAfter,
+//                     peerActivityMinBytes, sessionHistorySize, sessionRetentionDays)
+//   getInterfaces   - async () => [iface]
+//   dumpInterface   - async (iface) => parsed dump
+//   report          - (event, data) => void; every transition
+function createSessionTracker({ config, getInterfaces, dumpInterface, report }) {
+  const queue = createWriteQueue();
+  let state = { version: 1, peers: {} };
+  let loaded = false;
+  let sampling = null;
+  let timer = null;
+
+  const file = () => path.join(config.dataDir, 'sessions.json');
+
+  async function ensureLoaded() {
+    if (!loaded) {
+      state = await readJson(file(), { version: 1, peers: {} });
+      loaded = true;
+    }
+  }
+
+  function save() {
+    return queue(() => writeJson(file(), state));
+  }
+
+  function entryFor(publicKey, iface) {
+    if (!state.peers[publicKey]) {
+      state.peers[publicKey] = {
+        publicKey,
+        interface: iface,
+        state: 'offline',
+        endpoint: null,
+        latestHandshake: null,
+        lastRx: null,
+        lastTx: null,
+        lastActivityAt: null,
+        current: null,
+        history: [],
+        removed: false
+      };
+    }
+    state.peers[publicKey].interface = iface;
+    return state.peers[publicKey];
+  }
+
+  // rx / tx: traffic of the sample that saw the handshake
+  function openSession(entry, peer, now, rx, tx) {
+    entry.current = {
+      startedAt: iso(Math.min(peer.latestHandshake, now)),
+      endedAt: null,
+      endpoint: peer.endpoint,
+      endpoints: peer.endpoint ? [peer.endpoint] : [],
+      rx,
+      tx,
+      endReason: null
+    };
+    entry.state = 'connected';
+    entry.lastActivityAt = now;
+    report('peer_connected', {
+      interface: entry.interface,
+      publicKey: entry.publicKey,
+      endpoint: peer.endpoint,
+      latestHandshake: iso(peer.latestHandshake),
+      resumed: false
+    });
+  }
+
+  function closeSession(entry, now, reason) {
+    const session = entry.current;
+    session.endedAt = iso(Math.min(entry.lastActivityAt || now, now));
+    session.endReason = reason;
+    entry.history.push(session);
+    while (entry.history.length > config.sessionHistorySize) {
+      entry.history.shift();
+    }
+    entry.current = null;
+    entry.state = 'offline';
+    report('peer_disconnected', {
+      interface: entry.interface,
+      publicKey: entry.publicKey,
+      reason,
+      session: describe(entry, session, now)
+    });
+  }
+
+  function describe(entry, session, now) {
+    const end = session.endedAt ? Date.parse(session.endedAt) / 1000 : now;
+    return {
+      publicKey: entry.publicKey,
+      interface: entry.interface,
+      startedAt: session.startedAt,
+      endedAt: session.endedAt,
+      active: !session.endedAt,
+      durationSeconds: Math.max(0, Math.round(end - Date.parse(session.startedAt) / 1000)),
+      endpoint: session.endpoint,
+      endpoints: session.endpoints,
+      rx: session.rx,
+      tx: session.tx,
+      endReason: session.endReason
+    };
+  }
+
+  function observe(entry, peer, now) {
+    // A counter lower than last time means the peer or interface was reset
+    const baseline = entry.lastRx !== null;
+    const rx = !baseline ? 0 : peer.transferRx >= entry.lastRx ? peer.transferRx - entry.lastRx : peer.transferRx;
+    const tx = !baseline ? 0 : peer.transferTx >= entry.lastTx ? peer.transferTx - entry.lastTx : peer.transferTx;
+    entry.lastRx = peer.transferRx;
+    entry.lastTx = peer.transferTx;
+
+    if (peer.endpoint && entry.endpoint && peer.endpoint !== entry.endpoint) {
+      report('endpoint_changed', { interface: entry.interface, publicKey: entry.publicKey, from: entry.endpoint, to: peer.endpoint });
+      if (entry.current && !entry.current.endpoints.includes(peer.endpoint)) {
+        entry.current.endpoints = [...entry.current.endpoints, peer.endpoint].slice(-MAX_ENDPOINTS);
+      }
+    }
+    entry.endpoint = peer.endpoint || entry.endpoint;
+
+    const handshake = peer.latestHandshake || null;
+    entry.latestHandshake = handshake;
+    const recent = Boolean(handshake) && now - handshake <= config.peerDisconnectAfter;
+
+    if (entry.current) {
+      entry.current.rx += rx;
+      entry.current.tx += tx;
+    }
+    if (rx + tx >= config.peerActivityMinBytes) {
+      entry.lastActivityAt = now;
+    }
+
+    if (!entry.current) {
+      if (recent) {
+        openSession(entry, peer, now, rx, tx);
+      }
+      return;
+    }
+    if (!recent) {
+      closeSession(entry, now, 'handshake_timeout');
+      return;
+    }
+    if (entry.state === 'idle' && entry.lastActivityAt === now) {
+      entry.state = 'connected';
+      report('peer_connected', {
+        interface: entry.interface,
+        publicKey: entry.publicKey,
+        endpoint: entry.endpoint,
+        latestHandshake: iso(handshake),
+        resumed: true,
+        sessionStartedAt: entry.current.startedAt
+      });
+    } else if (entry.state === 'connected' && now - entry.lastActivityAt >= config.peerIdleAfter) {
+      entry.state = 'idle';
+      report('peer_idle', {
+        interface: entry.interface,
+        publicKey: entry.publicKey,
+        endpoint: entry.endpoint,
+        idleSince: iso(entry.lastActivityAt),
+        sessionStartedAt: entry.current.startedAt
+      });
+    }
+  }
+
+  // Forget peers that left the interface and have no session within the retention period
+  function prune(now) {
+    const cutoff = now - config.sessionRetentionDays * 86400;
+    for (const [publicKey, entry] of Object.entries(state.peers)) {
+      const last = entry.history.length ? Date.parse(entry.history[entry.history.length - 1].endedAt) / 1000 : null;
+      if (entry.removed && !entry.current && (last === null || last < cutoff)) {
+        delete state.peers[publicKey];
+      }
+    }
+  }
+
+  async function collect(now) {
+    for (const iface of await getInterfaces()) {
+      let dump;
+      try {
+        dump = await dumpInterface(iface);
+      } catch (error) {
+        continue; // interface down; its peers age out once it is back
+      }
+
+      const present = new Set();
+      for (const peer of dump.peers) {
+        present.add(peer.publicKey);
+        const entry = entryFor(peer.publicKey, iface);
+        entry.removed = false;
+        observe(entry, peer, now);
+      }
+
+      // Peers taken off the interface (removed, disabled) end their session now
+      for (const entry of Object.values(state.peers)) {
+        if (entry.interface === iface && !present.has(entry.publicKey) && !entry.removed) {
+          if (entry.current) {
+            entry.lastActivityAt = now;
+            closeSession(entry, now, 'removed');
+          }
+          entry.removed = true;
+          entry.lastRx = null;
+          entry.lastTx = null;
+        }
+      }
+    }
+  }
+
+  // Take one sample; concurrent callers share the running sample
+  function sample(now = Math.floor(Date.now() / 1000)) {
+    if (!sampling) {
+      sampling = (async () => {
+        await ensureLoaded();
+        await collect(now);
+        prune(now);
+        await save();
+      })().finally(() => {
+        sampling = null;
+      });
+    }
+    return sampling;
+  }
+
+  function summarize(entry, now) {
+    return {
+      publicKey: entry.publicKey,
+      interface: entry.interface,
+      state: entry.state,
+      onInterface: !entry.removed,
+      endpoint: entry.endpoint,
+      latestHandshake: entry.latestHandshake ? iso(entry.latestHandshake) : null,
+      lastActivityAt: entry.lastActivityAt ? iso(entry.lastActivityAt) : null,
+      current: entry.current ? describe(entry, entry.current, now) : null
+    };
+  }
+
+  // Presence of every peer (?interface=, ?state= filter)
+  async function getPeers({ interface: iface, state: wanted } = {}, now = Math.floor(Date.now() / 1000)) {
+    await ensureLoaded();
+    return Object.values(state.peers)
+      .filter(entry => (!iface || entry.interface === iface) && (!wanted || entry.state === wanted))
+      .map(entry => summarize(entry, now));
+  }
+
+  // Sessions of all peers, newest first. filters: interface, publicKey, active, since (ISO), limit
+  async function getSessions({ interface: iface, publicKey, active, since, limit } = {}, now = Math.floor(Date.now() / 1000)) {
+    await ensureLoaded();
+    const sinceTime = since ? Date.parse(since) : null;
+    const sessions = [];
+    for (const entry of Object.values(state.peers)) {
+      if ((iface && entry.interface !== iface) || (publicKey && entry.publicKey !== publicKey)) {
+        continue;
+      }
+      const all = entry.current ? [...entry.history, entry.current] : entry.history;
+      for (const session of all) {
+        if (active !== undefined && active === Boolean(session.endedAt)) {
+          continue;
+        }
+        if (sinceTime !== null && session.endedAt && Date.parse(session.endedAt) < sinceTime) {
+          continue;
+        }
+        sessions.push(describe(entry, session, now));
+      }
+    }
+    sessions.sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+    return limit ? sessions.slice(0, limit) : sessions;
+  }
+
+  // Presence and session history of one peer, or null
+  async function getPeer(publicKey, now = Math.floor(Date.now() / 1000)) {
+    await ensureLoaded();
+    const entry = state.peers[publicKey];
+    if (!entry) {
+      return null;
+    }
+    return {
+      ...summarize(entry, now),
+      history: entry.history.slice().reverse().map(session => describe(entry, session, now))
+    };
+  }
+
+  // Peers per state, for /status and the heartbeat
+  async function counts() {
+    await ensureLoaded();
+    const result = Object.fromEntries(STATES.map(name => [name, 0]));
+    for (const entry of Object.values(state.peers)) {
+      if (!entry.removed) {
+        result[entry.state] += 1;
+      }
+    }
+    return result;
+  }
+
+  function start() {
+    stop();
+    sample().catch(error => console.error(`❌ Peer session sampling failed: ${error.message}`));
+    timer = setInterval(() => {
+      sample().catch(error => console.error(`❌ Peer session sampling failed: ${error.message}`));
+    }, config.peerSampleInterval);
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    sample,
+    getPeers,
+    getSessions,
+    getPeer,
+    counts
+  };
+}
+
+module.exports = {
+  STATES,
+  createSessionTracker
+};
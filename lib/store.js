@@ -0,0 +1,67 @@
+// Small JSON file persistence used by the agent's local state (usage, schedules, ...)
+//
+// Writes go to a temp file in the same directory and are renamed into place,
+// so a crash never leaves a half-written file behind.
+
+const fs = require('fs');
+const path = require('path');
+
+// Read and parse a JSON file; returns fallback when it does not exist
+async function readJson(file, fallback) {
+  try {
+    const text = await fs.promises.readFile(file, 'utf8');
+    return JSON.parse(text);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    if (error instanceof SyntaxError) {
+      // Keep the corrupt file for inspection and start fresh
+      const corrupt = `${file}.corrupt-${Date.now()}`;
+      await fs.promises.rename(file, corrupt).catch(() => {});
+      console.error(`⚠️  ${file} was not valid JSON, moved to ${corrupt}`);
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+// Atomically write a file (temp file + rename). mode defaults to owner-only;
+// owner ({ uid, gid }) is applied before the rename when given.
+async function writeFileAtomic(file, contents, mode = 0o600, owner = null) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+  try {
+    await fs.promises.writeFile(temp, contents, { mode });
+    // writeFile's mode is subject to the umask
+    await fs.promises.chmod(temp, mode);
+    if (owner) {
+      await fs.promises.chown(temp, owner.uid, owner.gid);
+    }
+    await fs.promises.rename(temp, file);
+  } catch (error) {
+    await fs.promises.unlink(temp).catch(() => {});
+    throw error;
+  }
+}
+
+async function writeJson(file, data, mode = 0o600) {
+  await writeFileAtomic(file, `${JSON.stringify(data, null, 2)}\n`, mode);
+}
+
+// Serialize async writers of the same file so saves never interleave
+function createWriteQueue() {
+  let tail = Promise.resolve();
+  return function enqueue(fn) {
+    const next = tail.catch(() => {}).then(fn);
+    tail = next.catch(() => {});
+    return next;
+  };
+}
+
+module.exports = {
+  readJson,
+  writeFileAtomic,
+  writeJson,
+  createWriteQueue
+};
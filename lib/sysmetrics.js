@@ -0,0 +1,287 @@
+// In-process system metrics from /proc
+//
+// Samples /proc/stat, /proc/meminfo, /proc/loadavg, /proc/net/dev and
+// /proc/diskstats on a timer instead of forking top/free/nproc on every
+// heartbeat. CPU, network and disk rates are deltas between consecutive
+// samples; the last samples are kept in a small ring buffer.
+
+const fs = require('fs');
+const os = require('os');
+
+// Second sample shortly after start, so CPU usage is known before the first interval ends
+const FIRST_DELTA_DELAY = 1000;
+// Discovering interfaces forks "wg show interfaces", so the list is reused between samples
+const INTERFACE_REFRESH = 60 * 1000;
+const SECTOR_BYTES = 512;
+
+async function readProc(name) {
+  return fs.promises.readFile(`/proc/${name}`, 'utf8');
+}
+
+// Aggregate "cpu" line: idle (idle + iowait) and total jiffies
+function parseProcStat(text) {
+  const line = text.split('\n').find(item => item.startsWith('cpu '));
+  if (!line) {
+    throw new Error('No cpu line in /proc/stat');
+  }
+  // user nice system idle iowait irq softirq steal (guest time is already in user/nice)
+  const values = line.trim().split(/\s+/).slice(1, 9).map(Number);
+  const idle = values[3] + (values[4] || 0);
+  const total = values.reduce((sum, value) => sum + (value || 0), 0);
+  return { idle, total };
+}
+
+function parseMeminfo(text) {
+  const fields = {};
+  for (const line of text.split('\n')) {
+    const match = line.match(/^(\w+):\s+(\d+)/);
+    if (match) {
+      fields[match[1]] = Number(match[2]) * 1024;
+    }
+  }
+  const totalBytes = fields.MemTotal || 0;
+  // Kernels before 3.14 have no MemAvailable
+  const availableBytes = fields.MemAvailable !== undefined
+    ? fields.MemAvailable
+    : (fields.MemFree || 0) + (fields.Buffers || 0) + (fields.Cached || 0);
+  return {
+    totalBytes,
+    availableBytes,
+    usedPercent: totalBytes ? Math.min(100, ((totalBytes - availableBytes) / totalBytes) * 100) : 0
+  };
+}
+
+function parseLoadavg(text) {
+  const [load1, load5, load15] = text.trim().split(/\s+/).map(Number);
+  return { load1, load5, load15 };
+}
+
+// Byte counters per network interface
+function parseNetDev(text) {
+  const result = {};
+  for (const line of text.split('\n').slice(2)) {
+    const match = line.match(/^\s*([^:\s]+):\s*(.*)$/);
+    if (match) {
+      const values = match[2].trim().split(/\s+/).map(Number);
+      result[match[1]] = { rxBytes: values[0], txBytes: values[8] };
+    }
+  }
+  return result;
+}
+
+// Interface of the IPv4 default route
+function parseDefaultRoute(text) {
+  const line = text.split('\n').slice(1).find(item => item.split(/\s+/)[1] === '00000000');
+  return line ? line.split(/\s+/)[0] : null;
+}
+
+// Bytes read/written by whole disks (partitions, loop and ram devices are skipped)
+function parseDiskstats(text, isDisk) {
+  let readBytes = 0;
+  let writeBytes = 0;
+  for (const line of text.split('\n')) {
+    const parts = line.trim().split(/\s+/);
+    if (parts.length < 10 || /^(loop|ram|zram|dm-|md)/.test(parts[2]) || !isDisk(parts[2])) {
+      continue;
+    }
+    readBytes += Number(parts[5]) * SECTOR_BYTES;
+    writeBytes += Number(parts[9]) * SECTOR_BYTES;
+  }
+  return { readBytes, writeBytes };
+}
+
+function rate(current, previous, seconds) {
+  if (previous === undefined || seconds <= 0 || current < previous) {
+    return null; // first sample or counter reset
+  }
+  return Math.round((current - previous) / seconds);
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// options:
+//   config         - agent config (systemSampleInterval, systemHistorySize, uplinkInterface, dataDir)
+//   getInterfaces  - async () => [iface]; WireGuard interfaces to report throughput for
+function createSystemCollector({ config, getInterfaces }) {
+  const history = [];
+  let previous = null; // raw counters of the last sample
+  let sampling = null;
+  let timer = null;
+  let firstDeltaTimer = null;
+  let knownInterfaces = [];
+  let interfacesListedAt = null;
+
+  const isDisk = name => fs.existsSync(`/sys/block/${name.replace(/\//g, '!')}`);
+
+  // WireGuard interfaces, listed again once INTERFACE_REFRESH has passed
+  async function listInterfaces(now) {
+    if (interfacesListedAt === null || now - interfacesListedAt >= INTERFACE_REFRESH) {
+      interfacesListedAt = now;
+      knownInterfaces = await getInterfaces().catch(() => knownInterfaces);
+    }
+    return knownInterfaces;
+  }
+
+  async function readNetwork(counters, seconds, now) {
+    const wgInterfaces = await listInterfaces(now);
+    let uplink = config.uplinkInterface;
+    if (!uplink) {
+      uplink = parseDefaultRoute(await readProc('net/route').catch(() => ''));
+    }
+
+    const entries = [
+      ...wgInterfaces.map(name => ({ name, role: 'wireguard' })),
+      ...(uplink && !wgInterfaces.includes(uplink) ? [{ name: uplink, role: 'uplink' }] : [])
+    ];
+    return entries
+      .filter(entry => counters[entry.name])
+      .map(({ name, role }) => {
+        const current = counters[name];
+        const last = previous && previous.netDev[name];
+        return {
+          interface: name,
+          role,
+          rxBytes: current.rxBytes,
+          txBytes: current.txBytes,
+          rxBytesPerSec: rate(current.rxBytes, last && last.rxBytes, seconds),
+          txBytesPerSec: rate(current.txBytes, last && last.txBytes, seconds)
+        };
+      });
+  }
+
+  async function readDiskUsage() {
+    // fs.statfs needs Node 18.15+
+    if (!fs.promises.statfs) {
+      return null;
+    }
+    try {
+      const target = fs.existsSync(config.dataDir) ? config.dataDir : '/';
+      const stats = await fs.promises.statfs(target);
+      const totalBytes = stats.blocks * stats.bsize;
+      const freeBytes = stats.bavail * stats.bsize;
+      return {
+        path: target,
+        totalBytes,
+        freeBytes,
+        usedPercent: totalBytes ? round(((totalBytes - freeBytes) / totalBytes) * 100) : 0
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Read /proc once and append a sample to the history
+  async function collect(now) {
+    const [stat, meminfo, loadavg, netDev, diskstats] = await Promise.all([
+      readProc('stat'),
+      readProc('meminfo'),
+      readProc('loadavg'),
+      readProc('net/dev').catch(() => ''),
+      readProc('diskstats').catch(() => '')
+    ]);
+
+    const raw = {
+      at: now,
+      cpu: parseProcStat(stat),
+      netDev: parseNetDev(netDev),
+      disk: parseDiskstats(diskstats, isDisk)
+    };
+    const seconds = previous ? (now - previous.at) / 1000 : 0;
+
+    let cpuUsage = null;
+    if (previous && raw.cpu.total > previous.cpu.total) {
+      const total = raw.cpu.total - previous.cpu.total;
+      const idle = raw.cpu.idle - previous.cpu.idle;
+      cpuUsage = round(Math.max(0, Math.min(100, 100 - (idle / total) * 100)));
+    }
+
+    const cores = os.cpus().length || 1;
+    const load = parseLoadavg(loadavg);
+    const memory = parseMeminfo(meminfo);
+    const entry = {
+      at: new Date(now).toISOString(),
+      cpu: { usagePercent: cpuUsage, cores },
+      memory: { ...memory, usedPercent: round(memory.usedPercent) },
+      load: { ...load, percent: round(Math.min((load.load1 / cores) * 100, 100)) },
+      network: await readNetwork(raw.netDev, seconds, now),
+      disk: {
+        readBytesPerSec: rate(raw.disk.readBytes, previous && previous.disk.readBytes, seconds),
+        writeBytesPerSec: rate(raw.disk.writeBytes, previous && previous.disk.writeBytes, seconds),
+        usage: await readDiskUsage()
+      }
+    };
+
+    previous = raw;
+    history.push(entry);
+    while (history.length > config.systemHistorySize) {
+      history.shift();
+    }
+    return entry;
+  }
+
+  // Take one sample; concurrent callers share the running sample
+  function sample(now = Date.now()) {
+    if (!sampling) {
+      sampling = collect(now).finally(() => {
+        sampling = null;
+      });
+    }
+    return sampling;
+  }
+
+  function tick() {
+    sample().catch(error => console.error(`❌ System metrics sampling failed: ${error.message}`));
+  }
+
+  function start() {
+    stop();
+    tick();
+    firstDeltaTimer = setTimeout(tick, FIRST_DELTA_DELAY);
+    timer = setInterval(tick, config.systemSampleInterval);
+  }
+
+  function stop() {
+    clearTimeout(firstDeltaTimer);
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  // Latest sample, or null before the first one
+  function latest() {
+    return history.length ? history[history.length - 1] : null;
+  }
+
+  // Flat CPU/RAM/load percentages (0 while unknown), as reported in the heartbeat
+  function summary() {
+    const current = latest();
+    return {
+      cpuUsage: (current && current.cpu.usagePercent) || 0,
+      ramUsage: (current && current.memory.usedPercent) || 0,
+      systemLoad: (current && current.load.percent) || 0
+    };
+  }
+
+  return {
+    start,
+    stop,
+    sample,
+    latest,
+    summary,
+    history: () => history.slice()
+  };
+}
+
+module.exports = {
+  parseProcStat,
+  parseMeminfo,
+  parseLoadavg,
+  parseNetDev,
+  parseDiskstats,
+  parseDefaultRoute,
+  createSystemCollector
+};
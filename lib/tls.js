@@ -0,0 +1,187 @@
+// TLS for the agent API and toward the backend
+//
+// Agent API: with AGENT_TLS_CERT and AGENT_TLS_KEY the HTTP server speaks HTTPS.
+// AGENT_TLS_CLIENT_AUTH asks callers for a certificate issued by AGENT_TLS_CLIENT_CA:
+// "required" refuses the handshake without one, "optional" lets callers without a
+// certificate through but rejects (401) any that present an untrusted one. Client
+// certificates come on top of API keys; they do not replace them.
+//
+// Backend: BACKEND_TLS_CERT and BACKEND_TLS_KEY are presented to the backend (HTTP
+// requests and the WebSocket), BACKEND_TLS_CA replaces the system CA list and
+// BACKEND_TLS_PINS only accepts a backend whose certificate chain contains one of
+// the listed public keys (base64 SHA-256 of the SubjectPublicKeyInfo).
+//
+// Files are read at startup and again on reload (SIGHUP). New handshakes use the
+// new certificates; open connections carry on undisturbed.
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const crypto = require('crypto');
+
+const CLIENT_AUTH_MODES = ['off', 'optional', 'required'];
+
+// "sha256/<base64>" or "<base64>" -> the base64 digest; throws on anything else
+function parsePin(value) {
+  const pin = String(value).trim().replace(/^sha256\//i, '');
+  if (!/^[A-Za-z0-9+/]{43}=$/.test(pin)) {
+    throw new Error(`"${value}" is not a base64 SHA-256 public key pin`);
+  }
+  return pin;
+}
+
+// Pin of a certificate as returned by getPeerCertificate()
+function pinOf(cert) {
+  return crypto.createHash('sha256').update(cert.pubkey).digest('base64');
+}
+
+function readFile(file, setting) {
+  try {
+    return fs.readFileSync(file);
+  } catch (error) {
+    throw new Error(`${setting} cannot be read: ${error.message}`);
+  }
+}
+
+// Fail early on a key that does not match its certificate, a broken PEM file, ...
+function checkMaterial(material, settings) {
+  try {
+    tls.createSecureContext(material);
+  } catch (error) {
+    throw new Error(`${settings} is invalid - ${error.message}`);
+  }
+  return material;
+}
+
+function sameMaterial(a, b) {
+  const fields = value => ['cert', 'key', 'ca'].map(field => (value && value[field] ? value[field].toString('base64') : ''));
+  return JSON.stringify(fields(a)) === JSON.stringify(fields(b));
+}
+
+// options:
+//   config - agent config (agentTls*, backendTls*)
+function createTlsManager({ config }) {
+  let material = { server: null, backend: null };
+  let backendAgent = new https.Agent(backendOptions());
+  let server = null;
+
+  // Read every certificate file for the given settings; throws on the first problem
+  function read(settings = config) {
+    const next = { server: null, backend: null };
+    if (settings.agentTlsCert) {
+      next.server = checkMaterial({
+        cert: readFile(settings.agentTlsCert, 'AGENT_TLS_CERT'),
+        key: readFile(settings.agentTlsKey, 'AGENT_TLS_KEY'),
+        ...(settings.agentTlsClientCa ? { ca: readFile(settings.agentTlsClientCa, 'AGENT_TLS_CLIENT_CA') } : {})
+      }, 'AGENT_TLS_CERT / AGENT_TLS_KEY');
+    }
+    if (settings.backendTlsCert || settings.backendTlsCa) {
+      next.backend = checkMaterial({
+        ...(settings.backendTlsCert ? {
+          cert: readFile(settings.backendTlsCert, 'BACKEND_TLS_CERT'),
+          key: readFile(settings.backendTlsKey, 'BACKEND_TLS_KEY')
+        } : {}),
+        ...(settings.backendTlsCa ? { ca: readFile(settings.backendTlsCa, 'BACKEND_TLS_CA') } : {})
+      }, 'BACKEND_TLS_CERT / BACKEND_TLS_KEY / BACKEND_TLS_CA');
+    }
+    return next;
+  }
+
+  // Switch to material returned by read(); reports which side changed
+  function apply(next) {
+    const changed = {
+      server: !sameMaterial(material.server, next.server),
+      backend: !sameMaterial(material.backend, next.backend)
+    };
+    material = next;
+    if (changed.server && server && material.server) {
+      server.setSecureContext(material.server);
+    }
+    if (changed.backend) {
+      backendAgent = new https.Agent(backendOptions());
+    }
+    return changed;
+  }
+
+  function load() {
+    return apply(read());
+  }
+
+  // Hostname check as usual, then the pins
+  function checkServerIdentity(host, cert) {
+    const error = tls.checkServerIdentity(host, cert);
+    if (error || !config.backendTlsPins.length) {
+      return error;
+    }
+    const pins = config.backendTlsPins.map(parsePin);
+    const seen = new Set();
+    for (let current = cert; current && current.pubkey && !seen.has(current); current = current.issuerCertificate) {
+      seen.add(current);
+      if (pins.includes(pinOf(current))) {
+        return undefined;
+      }
+    }
+    return new Error(`Certificate of ${host} does not match BACKEND_TLS_PINS`);
+  }
+
+  // TLS options for connections to the backend (WebSocket)
+  function backendOptions() {
+    return { ...(material.backend || {}), checkServerIdentity };
+  }
+
+  // HTTP or HTTPS server for the agent API
+  function createServer(handler) {
+    if (!material.server) {
+      return http.createServer(handler);
+    }
+    server = https.createServer({
+      ...material.server,
+      requestCert: config.agentTlsClientAuth !== 'off',
+      rejectUnauthorized: config.agentTlsClientAuth === 'required'
+    }, handler);
+    return server;
+  }
+
+  // The caller's verified client certificate ({ subject, fingerprint }) or null
+  function clientCertificate(req) {
+    if (!req.socket.encrypted || !req.socket.authorized) {
+      return null;
+    }
+    const cert = req.socket.getPeerCertificate();
+    if (!cert || !cert.subject) {
+      return null;
+    }
+    return { subject: cert.subject.CN || null, fingerprint: cert.fingerprint256 };
+  }
+
+  // Middleware: with optional client auth a caller may bring no certificate, but not an untrusted one
+  function verifyClient(req, res, next) {
+    if (req.socket.encrypted && config.agentTlsClientAuth === 'optional' && !req.socket.authorized) {
+      const cert = req.socket.getPeerCertificate();
+      if (cert && cert.subject) {
+        return res.status(401).json({ success: false, message: `Client certificate rejected: ${req.socket.authorizationError}` });
+      }
+    }
+    return next();
+  }
+
+  return {
+    read,
+    apply,
+    load,
+    createServer,
+    clientCertificate,
+    verifyClient,
+    backendOptions,
+    backendAgent: () => backendAgent,
+    isServerEnabled: () => Boolean(material.server)
+  };
+}
+
+module.exports = {
+  CLIENT_AUTH_MODES,
+  parsePin,
+  pinOf,
+  createTlsManager
+};
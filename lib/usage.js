@@ -0,0 +1,337 @@
+// Per-peer traffic accounting with persistent counters and optional quotas
+//
+// The kernel's transfer counters reset whenever the interface restarts or a peer
+// is re-added, so the tracker samples them periodically and accumulates the
+// deltas into DATA_DIR/usage.json. Periods are UTC days and months.
+//
+// A peer that goes over its quota is removed from the interface and its settings
+// are stashed; it is restored as soon as it is back under quota (period rollover,
+// raised limit or removed quota).
+
+const path = require('path');
+const { readJson, writeJson, createWriteQueue } = require('./store');
+const { ValidationError } = require('./errors');
+
+const QUOTA_PERIODS = ['daily', 'monthly'];
+const DAILY_RETENTION = 62;
+const MONTHLY_RETENTION = 24;
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function periodKey(period, date) {
+  return period === 'daily' ? dayKey(date) : monthKey(date);
+}
+
+function addToBucket(buckets, key, rx, tx) {
+  const bucket = buckets[key] || { rx: 0, tx: 0 };
+  bucket.rx += rx;
+  bucket.tx += tx;
+  buckets[key] = bucket;
+}
+
+// Drop the oldest buckets beyond the retention limit
+function trimBuckets(buckets, keep) {
+  const keys = Object.keys(buckets).sort();
+  for (const key of keys.slice(0, Math.max(0, keys.length - keep))) {
+    delete buckets[key];
+  }
+}
+
+function validateQuota(quota) {
+  const limitBytes = Number(quota && quota.limitBytes);
+  const period = (quota && quota.period) || 'monthly';
+  if (!Number.isSafeInteger(limitBytes) || limitBytes <= 0) {
+    throw new ValidationError('limitBytes must be a positive integer', 'INVALID_QUOTA');
+  }
+  if (!QUOTA_PERIODS.includes(period)) {
+    throw new ValidationError(`period must be one of: ${QUOTA_PERIODS.join(', ')}`, 'INVALID_QUOTA');
+  }
+  return { limitBytes, period };
+}
+
+// options:
+//   config          - agent config (dataDir, usageSampleInterval, quotaEnforcement)
+//   getInterfaces   - async () => [iface]
+//   dumpInterface   - async (iface) => parsed dump
+//   disablePeer     - async (iface, publicKey) => stash | null (removes the peer)
+//   enablePeer      - async (iface, publicKey, stash) => void (restores the peer)
+function createUsageTracker({ config, getInterfaces, dumpInterface, disablePeer, enablePeer }) {
+  const queue = createWriteQueue();
+  let state = { version: 1, peers: {} };
+  let loaded = false;
+  let sampling = null;
+  let timer = null;
+
+  const file = () => path.join(config.dataDir, 'usage.json');
+
+  async function ensureLoaded() {
+    if (!loaded) {
+      state = await readJson(file(), { version: 1, peers: {} });
+      loaded = true;
+    }
+  }
+
+  function save() {
+    return queue(() => writeJson(file(), state));
+  }
+
+  function entryFor(publicKey, iface = null) {
+    if (!state.peers[publicKey]) {
+      state.peers[publicKey] = {
+        publicKey,
+        interface: iface,
+        lastRx: 0,
+        lastTx: 0,
+        totalRx: 0,
+        totalTx: 0,
+        daily: {},
+        monthly: {},
+        quota: null,
+        disabled: null,
+        updatedAt: null
+      };
+    }
+    if (iface) {
+      state.peers[publicKey].interface = iface;
+    }
+    return state.peers[publicKey];
+  }
+
+  function periodUsage(entry, period, now) {
+    const buckets = period === 'daily' ? entry.daily : entry.monthly;
+    const bucket = buckets[periodKey(period, now)] || { rx: 0, tx: 0 };
+    return bucket.rx + bucket.tx;
+  }
+
+  // Accumulate counter deltas from every interface
+  async function collect(now) {
+    for (const iface of await getInterfaces()) {
+      let dump;
+      try {
+        dump = await dumpInterface(iface);
+      } catch (error) {
+        continue; // interface down; counters will be re-baselined when it returns
+      }
+
+      const present = new Set();
+      for (const peer of dump.peers) {
+        present.add(peer.publicKey);
+        const entry = entryFor(peer.publicKey, iface);
+        // A counter lower than last time means the peer or interface was reset
+        const rx = peer.transferRx >= entry.lastRx ? peer.transferRx - entry.lastRx : peer.transferRx;
+        const tx = peer.transferTx >= entry.lastTx ? peer.transferTx - entry.lastTx : peer.transferTx;
+        entry.lastRx = peer.transferRx;
+        entry.lastTx = peer.transferTx;
+
+        if (rx > 0 || tx > 0) {
+          entry.totalRx += rx;
+          entry.totalTx += tx;
+          addToBucket(entry.daily, dayKey(now), rx, tx);
+          addToBucket(entry.monthly, monthKey(now), rx, tx);
+          trimBuckets(entry.daily, DAILY_RETENTION);
+          trimBuckets(entry.monthly, MONTHLY_RETENTION);
+        }
+        entry.updatedAt = now.toISOString();
+      }
+
+      // Peers that left the interface start again from zero when they come back
+      for (const entry of Object.values(state.peers)) {
+        if (entry.interface === iface && !present.has(entry.publicKey)) {
+          entry.lastRx = 0;
+          entry.lastTx = 0;
+        }
+      }
+    }
+  }
+
+  // Disable peers over quota; restore disabled peers that are back under quota
+  async function enforceQuotas(now) {
+    for (const entry of Object.values(state.peers)) {
+      const over = entry.quota && periodUsage(entry, entry.quota.period, now) >= entry.quota.limitBytes;
+
+      if (entry.disabled) {
+        if (!over || !config.quotaEnforcement) {
+          try {
+            await enablePeer(entry.interface, entry.publicKey, entry.disabled);
+            entry.disabled = null;
+            console.log(`✅ Peer re-enabled after quota reset: ${entry.publicKey.substring(0, 16)}...`);
+          } catch (error) {
+            console.error(`❌ Failed to re-enable peer ${entry.publicKey.substring(0, 16)}...: ${error.message}`);
+          }
+        }
+      } else if (over && config.quotaEnforcement && entry.interface) {
+        try {
+          const stash = await disablePeer(entry.interface, entry.publicKey);
+          if (stash) {
+            entry.disabled = { since: now.toISOString(), period: entry.quota.period, ...stash };
+            console.log(`⛔ Peer disabled, ${entry.quota.period} quota exceeded: ${entry.publicKey.substring(0, 16)}...`);
+          }
+        } catch (error) {
+          console.error(`❌ Failed to disable peer ${entry.publicKey.substring(0, 16)}...: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  // Take one sample; concurrent callers share the running sample
+  function sample(now = new Date()) {
+    if (!sampling) {
+      sampling = (async () => {
+        await ensureLoaded();
+        await collect(now);
+        await enforceQuotas(now);
+        await save();
+      })().finally(() => {
+        sampling = null;
+      });
+    }
+    return sampling;
+  }
+
+  function summarize(entry, now) {
+    const today = entry.daily[dayKey(now)] || { rx: 0, tx: 0 };
+    const month = entry.monthly[monthKey(now)] || { rx: 0, tx: 0 };
+    let quota = null;
+    if (entry.quota) {
+      const usedBytes = periodUsage(entry, entry.quota.period, now);
+      quota = {
+        ...entry.quota,
+        usedBytes,
+        remainingBytes: Math.max(0, entry.quota.limitBytes - usedBytes)
+      };
+    }
+    return {
+      publicKey: entry.publicKey,
+      interface: entry.interface,
+      total: { rx: entry.totalRx, tx: entry.totalTx },
+      today: { rx: today.rx, tx: today.tx },
+      month: { rx: month.rx, tx: month.tx },
+      quota,
+      disabled: Boolean(entry.disabled),
+      disabledSince: entry.disabled ? entry.disabled.since : null,
+      updatedAt: entry.updatedAt
+    };
+  }
+
+  async function getSummary({ interface: iface } = {}, now = new Date()) {
+    await ensureLoaded();
+    return Object.values(state.peers)
+      .filter(entry => !iface || entry.interface === iface)
+      .map(entry => summarize(entry, now));
+  }
+
+  // Summary plus daily and monthly history of one peer, or null
+  async function getPeerUsage(publicKey, now = new Date()) {
+    await ensureLoaded();
+    const entry = state.peers[publicKey];
+    if (!entry) {
+      return null;
+    }
+    return {
+      ...summarize(entry, now),
+      daily: entry.daily,
+      monthly: entry.monthly
+    };
+  }
+
+  async function setQuota(publicKey, quota, iface = null) {
+    await ensureLoaded();
+    const entry = entryFor(publicKey, iface);
+    entry.quota = validateQuota(quota);
+    await save();
+    return summarize(entry, new Date());
+  }
+
+  async function clearQuota(publicKey) {
+    await ensureLoaded();
+    const entry = state.peers[publicKey];
+    if (!entry) {
+      return null;
+    }
+    entry.quota = null;
+    await save();
+    return summarize(entry, new Date());
+  }
+
+  // Forget a quota-disabled peer's stash (the peer was removed or re-added explicitly)
+  async function clearDisabled(publicKey) {
+    await ensureLoaded();
+    const entry = state.peers[publicKey];
+    if (entry && entry.disabled) {
+      entry.disabled = null;
+      await save();
+    }
+  }
+
+  // Quota-disabled peers of an interface with their stashed allowed IPs
+  async function suspendedPeers(iface) {
+    await ensureLoaded();
+    return Object.values(state.peers)
+      .filter(entry => entry.disabled && entry.interface === iface)
+      .map(entry => ({ publicKey: entry.publicKey, allowedIPs: entry.disabled.allowedIPs || [] }));
+  }
+
+  // Compact usage summary for the heartbeat payload
+  async function heartbeatSummary(now = new Date()) {
+    const peers = await getSummary({}, now);
+    const sum = (items, key) => items.reduce((acc, item) => ({
+      rx: acc.rx + item[key].rx,
+      tx: acc.tx + item[key].tx
+    }), { rx: 0, tx: 0 });
+    return {
+      day: dayKey(now),
+      month: monthKey(now),
+      today: sum(peers, 'today'),
+      thisMonth: sum(peers, 'month'),
+      disabledPeers: peers.filter(peer => peer.disabled).length,
+      peers: peers.map(peer => ({
+        publicKey: peer.publicKey,
+        interface: peer.interface,
+        today: peer.today,
+        month: peer.month,
+        total: peer.total,
+        disabled: peer.disabled
+      }))
+    };
+  }
+
+  function start() {
+    stop();
+    sample().catch(error => console.error(`❌ Usage sampling failed: ${error.message}`));
+    timer = setInterval(() => {
+      sample().catch(error => console.error(`❌ Usage sampling failed: ${error.message}`));
+    }, config.usageSampleInterval);
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    sample,
+    getSummary,
+    getPeerUsage,
+    setQuota,
+    clearQuota,
+    clearDisabled,
+    suspendedPeers,
+    heartbeatSummary
+  };
+}
+
+module.exports = {
+  QUOTA_PERIODS,
+  validateQuota,
+  createUsageTracker
+};
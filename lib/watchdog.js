@@ -0,0 +1,186 @@
+// Interface watchdog
+//
+// Probes every managed interface (interface up, UDP listener present) on a timer.
+// After WATCHDOG_FAILURE_THRESHOLD consecutive failed probes the interface is
+// restarted, at most WATCHDOG_MAX_RESTARTS times with backoff between attempts.
+// Each attempt is verified with a fresh probe and reported. Once the limit is
+// reached the watchdog gives up until the interface is seen healthy again.
+// Interfaces stopped on purpose (through the API) are left alone.
+
+const { backoffDelay } = require('./wsclient');
+
+// options:
+//   config          - agent config (watchdogInterval, watchdogFailureThreshold, watchdogMaxRestarts,
+//                     watchdogRestartDelay, watchdogRestartMaxDelay)
+//   getInterfaces   - async () => [iface]
+//   probe           - async (iface) => { healthy, problem }
+//   restart         - async (iface) => void; throws when the restart itself fails
+//   report          - (event, data) => void; every attempt, recovery and give-up
+function createWatchdog({ config, getInterfaces, probe, restart, report }) {
+  const states = new Map();
+  const stopped = new Set(); // interfaces stopped on purpose
+  const known = new Set(); // discovered interfaces vanish from "wg show interfaces" when they go down
+  let timer = null;
+  let checking = null;
+
+  function stateOf(iface) {
+    if (!states.has(iface)) {
+      states.set(iface, {
+        status: 'ok', // ok | failing | gave_up | stopped
+        failures: 0,
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastProblem: null,
+        lastCheckAt: null,
+        lastAttemptAt: null,
+        lastRecoveryAt: null
+      });
+    }
+    return states.get(iface);
+  }
+
+  async function attemptRestart(iface, state, now) {
+    state.attempts += 1;
+    state.lastAttemptAt = new Date(now).toISOString();
+    const attempt = { interface: iface, attempt: state.attempts, maxAttempts: config.watchdogMaxRestarts, problem: state.lastProblem };
+    console.log(`🩺 Watchdog restarting ${iface} (attempt ${state.attempts}/${config.watchdogMaxRestarts}): ${state.lastProblem}`);
+
+    let error = null;
+    try {
+      await restart(iface);
+    } catch (restartError) {
+      error = restartError.message;
+    }
+    const verified = error ? null : await probe(iface);
+    const recovered = Boolean(verified && verified.healthy);
+    report('watchdog_restart', {
+      ...attempt,
+      success: recovered,
+      error: error || (recovered ? null : verified.problem)
+    });
+
+    if (recovered) {
+      console.log(`✅ Watchdog recovered ${iface} after ${state.attempts} restart(s)`);
+      state.status = 'ok';
+      state.failures = 0;
+      state.lastRecoveryAt = new Date().toISOString();
+      report('watchdog_recovered', { interface: iface, attempts: state.attempts, problem: attempt.problem });
+      state.attempts = 0;
+      return;
+    }
+
+    console.error(`❌ Watchdog restart of ${iface} did not recover it: ${error || verified.problem}`);
+    if (state.attempts >= config.watchdogMaxRestarts) {
+      state.status = 'gave_up';
+      console.error(`⛔ Watchdog gave up on ${iface} after ${state.attempts} restart(s)`);
+      report('watchdog_gave_up', { interface: iface, attempts: state.attempts, problem: state.lastProblem });
+    } else {
+      state.nextAttemptAt = Date.now() + backoffDelay(state.attempts - 1, config.watchdogRestartDelay, config.watchdogRestartMaxDelay);
+    }
+  }
+
+  async function checkInterface(iface, now) {
+    const state = stateOf(iface);
+    state.lastCheckAt = new Date(now).toISOString();
+    if (stopped.has(iface)) {
+      state.status = 'stopped';
+      return;
+    }
+
+    const result = await probe(iface);
+    if (result.healthy) {
+      if (state.status === 'gave_up') {
+        report('watchdog_recovered', { interface: iface, attempts: state.attempts, problem: state.lastProblem });
+        state.lastRecoveryAt = new Date(now).toISOString();
+      }
+      state.status = 'ok';
+      state.failures = 0;
+      state.attempts = 0;
+      state.lastProblem = null;
+      return;
+    }
+
+    state.failures += 1;
+    state.lastProblem = result.problem;
+    if (state.status === 'gave_up') {
+      return;
+    }
+    state.status = 'failing';
+    if (state.failures >= config.watchdogFailureThreshold && now >= state.nextAttemptAt) {
+      await attemptRestart(iface, state, now);
+    }
+  }
+
+  // Probe every interface once; concurrent callers share the running check
+  function check(now = Date.now()) {
+    if (!checking) {
+      checking = (async () => {
+        (await getInterfaces()).forEach(iface => known.add(iface));
+        for (const iface of known) {
+          try {
+            await checkInterface(iface, now);
+          } catch (error) {
+            console.error(`❌ Watchdog check of ${iface} failed: ${error.message}`);
+          }
+        }
+      })().finally(() => {
+        checking = null;
+      });
+    }
+    return checking;
+  }
+
+  // The interface was stopped on purpose; do not bring it back
+  function hold(iface) {
+    stopped.add(iface);
+    known.add(iface);
+  }
+
+  // The interface was started again; watch it as usual
+  function release(iface) {
+    if (stopped.delete(iface)) {
+      const state = stateOf(iface);
+      state.status = 'ok';
+      state.failures = 0;
+      state.attempts = 0;
+      state.nextAttemptAt = 0;
+    }
+  }
+
+  function status() {
+    return {
+      enabled: Boolean(timer),
+      interfaces: Object.fromEntries(Array.from(states.entries()).map(([iface, state]) => [iface, {
+        ...state,
+        nextAttemptAt: state.nextAttemptAt > Date.now() ? new Date(state.nextAttemptAt).toISOString() : null
+      }]))
+    };
+  }
+
+  function start() {
+    stop();
+    timer = setInterval(() => {
+      check().catch(error => console.error(`❌ Watchdog check failed: ${error.message}`));
+    }, config.watchdogInterval);
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    check,
+    hold,
+    release,
+    status
+  };
+}
+
+module.exports = {
+  createWatchdog
+};
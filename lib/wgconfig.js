@@ -0,0 +1,250 @@
+// Interface config files rendered from the peer store
+//
+// The [Interface] section of /etc/wireguard/<iface>.conf is left exactly as the
+// operator wrote it; every [Peer] section is rendered from the agent's peer
+// store. Files are written atomically with their original mode and owner, then
+// applied with "wg syncconf" (via "wg-quick strip"). If the interface rejects the
+// new config the previous file is put back.
+//
+// Every written config is kept as a numbered revision under
+// DATA_DIR/config-revisions/<iface>/ so a bad change can be rolled back.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const wg = require('./wireguard');
+const { readJson, writeJson, writeFileAtomic, createWriteQueue } = require('./store');
+const { AgentError } = require('./errors');
+
+const MODES = ['agent', 'wg-quick'];
+const MANAGED_MARKER = '# Peers below are managed by vexira-agent; manual changes are overwritten';
+
+// Split a config into the verbatim [Interface] part and parsed peers
+function parseConfig(text) {
+  const interfaceLines = [];
+  const peers = [];
+  let peer = null;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (/^\[peer\]$/i.test(line)) {
+      peer = { publicKey: null, allowedIPs: [], presharedKey: null, persistentKeepalive: null, endpoint: null, userId: null };
+      peers.push(peer);
+      continue;
+    }
+    if (/^\[.+\]$/.test(line)) {
+      peer = null;
+    }
+    if (!peer) {
+      if (line !== MANAGED_MARKER) {
+        interfaceLines.push(rawLine.replace(/\s+$/, ''));
+      }
+      continue;
+    }
+
+    const user = line.match(/^#\s*user:\s*(.+)$/);
+    if (user) {
+      peer.userId = user[1];
+      continue;
+    }
+    const match = line.match(/^([A-Za-z]+)\s*=\s*(.*)$/);
+    if (!match) {
+      continue; // other comments and blank lines inside peers are regenerated
+    }
+    const [, key, value] = match;
+    switch (key.toLowerCase()) {
+      case 'publickey':
+        peer.publicKey = value;
+        break;
+      case 'presharedkey':
+        peer.presharedKey = value;
+        break;
+      case 'allowedips':
+        peer.allowedIPs.push(...value.split(',').map(item => item.trim()).filter(Boolean));
+        break;
+      case 'persistentkeepalive':
+        peer.persistentKeepalive = value === 'off' ? null : parseInt(value, 10) || null;
+        break;
+      case 'endpoint':
+        peer.endpoint = value;
+        break;
+      default:
+        break;
+    }
+  }
+
+  while (interfaceLines.length && !interfaceLines[interfaceLines.length - 1]) {
+    interfaceLines.pop();
+  }
+  return { interfaceSection: interfaceLines.join('\n'), peers: peers.filter(item => item.publicKey) };
+}
+
+function renderConfig(interfaceSection, peers) {
+  const blocks = [interfaceSection, MANAGED_MARKER];
+  for (const peer of peers) {
+    const lines = ['[Peer]'];
+    if (peer.userId) {
+      lines.push(`# user: ${peer.userId}`);
+    }
+    lines.push(`PublicKey = ${peer.publicKey}`);
+    if (peer.presharedKey) {
+      lines.push(`PresharedKey = ${peer.presharedKey}`);
+    }
+    lines.push(`AllowedIPs = ${peer.allowedIPs.join(', ')}`);
+    if (peer.endpoint) {
+      lines.push(`Endpoint = ${peer.endpoint}`);
+    }
+    if (peer.persistentKeepalive) {
+      lines.push(`PersistentKeepalive = ${peer.persistentKeepalive}`);
+    }
+    blocks.push(lines.join('\n'));
+  }
+  return `${blocks.join('\n\n')}\n`;
+}
+
+// Hide private and preshared keys
+function redactConfig(text) {
+  return text.replace(/^(\s*(?:PrivateKey|PresharedKey)\s*=\s*).*$/gim, '$1(hidden)');
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// options:
+//   config - agent config (wgConfigDir, dataDir, configRevisionsKeep)
+function createConfigManager({ config }) {
+  const queue = createWriteQueue();
+
+  const configPath = iface => path.join(config.wgConfigDir, `${wg.validateInterfaceName(iface)}.conf`);
+  const revisionDir = iface => path.join(config.dataDir, 'config-revisions', wg.validateInterfaceName(iface));
+  const indexFile = iface => path.join(revisionDir(iface), 'index.json');
+  const revisionFile = (iface, revision) => path.join(revisionDir(iface), `${String(revision).padStart(6, '0')}.conf`);
+
+  // Whether the interface has a config file the agent can manage
+  async function isManaged(iface) {
+    try {
+      await fs.promises.access(configPath(iface), fs.constants.R_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async function read(iface) {
+    return fs.promises.readFile(configPath(iface), 'utf8');
+  }
+
+  async function loadIndex(iface) {
+    return readJson(indexFile(iface), { next: 1, revisions: [] });
+  }
+
+  async function addRevision(iface, text, reason) {
+    const index = await loadIndex(iface);
+    const revision = index.next;
+    await writeFileAtomic(revisionFile(iface, revision), text);
+    index.revisions.push({
+      revision,
+      createdAt: new Date().toISOString(),
+      reason,
+      peers: parseConfig(text).peers.length,
+      sha256: sha256(text)
+    });
+    index.next = revision + 1;
+
+    // Drop the oldest revisions beyond the limit
+    while (index.revisions.length > config.configRevisionsKeep) {
+      const old = index.revisions.shift();
+      await fs.promises.unlink(revisionFile(iface, old.revision)).catch(() => {});
+    }
+    await writeJson(indexFile(iface), index);
+    return revision;
+  }
+
+  async function writeConfig(iface, text) {
+    const file = configPath(iface);
+    const stats = await fs.promises.stat(file);
+    await writeFileAtomic(file, text, stats.mode & 0o7777, { uid: stats.uid, gid: stats.gid });
+  }
+
+  async function apply(iface) {
+    await wg.syncConfig(iface, await wg.stripConfig(configPath(iface)));
+  }
+
+  // Write a new config and apply it; the previous file is restored if the interface rejects it
+  async function install(iface, text, reason) {
+    const previous = await read(iface);
+    if (previous === text) {
+      return { changed: false, revision: null };
+    }
+
+    // The file as it was before the agent first touched it
+    const index = await loadIndex(iface);
+    if (!index.revisions.length) {
+      await addRevision(iface, previous, 'initial');
+    }
+
+    await writeConfig(iface, text);
+    try {
+      await apply(iface);
+    } catch (error) {
+      await writeConfig(iface, previous);
+      await apply(iface).catch(() => {});
+      throw new AgentError(`Interface ${iface} rejected the new config, previous config restored: ${error.message}`, {
+        code: 'CONFIG_APPLY_FAILED',
+        statusCode: 500
+      });
+    }
+    return { changed: true, revision: await addRevision(iface, text, reason) };
+  }
+
+  // Render the interface's peers into its config file and apply it
+  function commit(iface, peers, reason) {
+    return queue(async () => {
+      const { interfaceSection } = parseConfig(await read(iface));
+      return install(iface, renderConfig(interfaceSection, peers), reason);
+    });
+  }
+
+  async function revisions(iface) {
+    const index = await loadIndex(iface);
+    return index.revisions.slice().reverse();
+  }
+
+  async function getRevision(iface, revision) {
+    const index = await loadIndex(iface);
+    const meta = index.revisions.find(item => item.revision === Number(revision));
+    if (!meta) {
+      throw new AgentError(`Revision ${revision} of ${iface} not found`, { code: 'REVISION_NOT_FOUND', statusCode: 404 });
+    }
+    return { ...meta, content: await fs.promises.readFile(revisionFile(iface, meta.revision), 'utf8') };
+  }
+
+  // Put a previous revision back in place; resolves its peers so the store can follow
+  function rollback(iface, revision) {
+    return queue(async () => {
+      const target = await getRevision(iface, revision);
+      const result = await install(iface, target.content, `rollback to ${target.revision}`);
+      return { ...result, rolledBackTo: target.revision, peers: parseConfig(target.content).peers };
+    });
+  }
+
+  return {
+    configPath,
+    isManaged,
+    read,
+    commit,
+    revisions,
+    getRevision,
+    rollback
+  };
+}
+
+module.exports = {
+  MODES,
+  MANAGED_MARKER,
+  parseConfig,
+  renderConfig,
+  redactConfig,
+  createConfigManager
+};
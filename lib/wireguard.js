@@ -0,0 +1,489 @@
+// WireGuard command layer
+//
+// Every external binary is invoked with an argument array (no shell), and all
+// caller-supplied values are validated before they reach a command line.
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const net = require('net');
+const { ValidationError, CommandError } = require('./errors');
+
+const COMMAND_TIMEOUT = 15000;
+// Bringing an interface up runs PostUp hooks, DNS setup, ...
+const LIFECYCLE_TIMEOUT = 60000;
+const LIFECYCLE_ACTIONS = ['start', 'stop', 'restart'];
+const SERVICE_MANAGERS = ['auto', 'systemd', 'wg-quick'];
+
+// Run a binary without a shell. Resolves { stdout, stderr }, rejects with CommandError.
+function run(file, args = [], { input = null, timeout = COMMAND_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    const command = [file, ...args].join(' ');
+    let child;
+    try {
+      child = spawn(file, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    } catch (error) {
+      reject(new CommandError(`Failed to run ${file}: ${error.message}`, { command }));
+      return;
+    }
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeout);
+
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      const message = error.code === 'ENOENT' ? `${file}: command not found` : error.message;
+      reject(new CommandError(message, { command }));
+    });
+
+    child.on('close', (exitCode) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        reject(new CommandError(`${file} timed out after ${timeout}ms`, { command, stderr }));
+      } else if (exitCode !== 0) {
+        const detail = stderr.trim() || `exited with code ${exitCode}`;
+        reject(new CommandError(`${file} ${args[0] || ''}: ${detail}`.trim(), { command, exitCode, stderr }));
+      } else {
+        resolve({ stdout, stderr });
+      }
+    });
+
+    // A command that exits without reading all of its input closes the pipe (EPIPE);
+    // without a listener that would crash the agent. The exit code decides the result.
+    child.stdin.on('error', () => {});
+
+    if (input !== null) {
+      child.stdin.end(input);
+    } else {
+      child.stdin.end();
+    }
+  });
+}
+
+// A WireGuard key is 32 bytes, base64-encoded (44 characters ending in "=")
+function validateKey(key, label = 'publicKey') {
+  if (typeof key !== 'string' || !/^[A-Za-z0-9+/]{42}[AEIMQUYcgkosw048]=$/.test(key)) {
+    throw new ValidationError(`${label} must be a 32-byte base64-encoded WireGuard key`, 'INVALID_KEY');
+  }
+  if (Buffer.from(key, 'base64').length !== 32) {
+    throw new ValidationError(`${label} must decode to exactly 32 bytes`, 'INVALID_KEY');
+  }
+  return key;
+}
+
+function validatePublicKey(publicKey) {
+  return validateKey(publicKey, 'publicKey');
+}
+
+// Validate a single CIDR; a bare address is treated as a host route (/32 or /128)
+function validateCIDR(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError('Empty allowed IP entry', 'INVALID_CIDR');
+  }
+  const [address, prefix, ...rest] = value.trim().split('/');
+  const family = net.isIP(address);
+  if (!family || rest.length) {
+    throw new ValidationError(`Invalid allowed IP "${value}"`, 'INVALID_CIDR');
+  }
+
+  const maxPrefix = family === 4 ? 32 : 128;
+  if (prefix === undefined) {
+    return `${address}/${maxPrefix}`;
+  }
+  if (!/^\d{1,3}$/.test(prefix) || parseInt(prefix, 10) > maxPrefix) {
+    throw new ValidationError(`Invalid prefix length in "${value}"`, 'INVALID_CIDR');
+  }
+  return `${address}/${parseInt(prefix, 10)}`;
+}
+
+// Accepts "a/b, c/d" or an array; returns a normalized array of CIDRs
+function validateAllowedIPs(allowedIPs) {
+  const list = Array.isArray(allowedIPs) ? allowedIPs : String(allowedIPs || '').split(',');
+  const cidrs = list.map(item => String(item).trim()).filter(Boolean);
+  if (cidrs.length === 0) {
+    throw new ValidationError('allowedIPs must contain at least one CIDR', 'INVALID_CIDR');
+  }
+  return cidrs.map(validateCIDR);
+}
+
+// Linux interface names: up to 15 characters, no slashes or whitespace. The first
+// character must be a letter or digit: names are passed to wg / wg-quick as arguments
+// (no "-option") and joined into config paths (no "." or "..").
+function validateInterfaceName(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9_.=+-]{0,14}$/.test(name)) {
+    throw new ValidationError(`Invalid interface name "${name}"`, 'INVALID_INTERFACE');
+  }
+  return name;
+}
+
+// Persistent keepalive interval in seconds (0 disables)
+function validateKeepalive(value) {
+  const seconds = Number(value);
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > 65535) {
+    throw new ValidationError(`Invalid persistent keepalive "${value}"`, 'INVALID_KEEPALIVE');
+  }
+  return seconds;
+}
+
+function validatePort(port) {
+  const value = typeof port === 'number' ? port : Number(String(port).trim());
+  if (!Number.isInteger(value) || value < 1 || value > 65535) {
+    throw new ValidationError(`Invalid port "${port}"`, 'INVALID_PORT');
+  }
+  return value;
+}
+
+// Peer endpoint "host:port" (IPv6 addresses in brackets)
+function validateEndpoint(endpoint) {
+  const match = typeof endpoint === 'string' && endpoint.trim().match(/^(\[([0-9A-Fa-f:.]+)\]|[A-Za-z0-9.-]+):(\d{1,5})$/);
+  if (!match || (match[2] && net.isIP(match[2]) !== 6)) {
+    throw new ValidationError(`Invalid endpoint "${endpoint}" (expected host:port)`, 'INVALID_ENDPOINT');
+  }
+  validatePort(match[3]);
+  return endpoint.trim();
+}
+
+const none = value => (value === '(none)' || value === 'off' || value === '' ? null : value);
+
+function toInt(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+// Parse the machine-readable output of "wg show <iface> dump" or "wg show all dump".
+//
+// Interface line: private-key public-key listen-port fwmark
+// Peer line:      public-key preshared-key endpoint allowed-ips latest-handshake transfer-rx transfer-tx persistent-keepalive
+// "all dump" prefixes every line with the interface name.
+//
+// Returns an array of interfaces. The private key and preshared keys are never
+// included; only whether a preshared key is set.
+function parseDump(text, defaultName = null) {
+  const interfaces = [];
+  let current = null;
+
+  for (const line of String(text || '').split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    let fields = line.split('\t');
+    let name = defaultName;
+    if (fields.length === 5 || fields.length === 9) {
+      name = fields[0];
+      fields = fields.slice(1);
+    }
+
+    if (fields.length === 4) {
+      current = {
+        name,
+        publicKey: none(fields[1]),
+        listenPort: toInt(fields[2]) || null,
+        fwmark: none(fields[3]),
+        peers: []
+      };
+      interfaces.push(current);
+    } else if (fields.length === 8 && current) {
+      const handshake = toInt(fields[4]);
+      const keepalive = none(fields[7]);
+      current.peers.push({
+        publicKey: fields[0],
+        hasPresharedKey: none(fields[1]) !== null,
+        endpoint: none(fields[2]),
+        allowedIPs: none(fields[3]) ? fields[3].split(',') : [],
+        latestHandshake: handshake > 0 ? handshake : null, // epoch seconds, null = never
+        transferRx: toInt(fields[5]), // bytes received from the peer
+        transferTx: toInt(fields[6]), // bytes sent to the peer
+        persistentKeepalive: keepalive ? toInt(keepalive) : null
+      });
+    }
+  }
+
+  return interfaces;
+}
+
+// Names of all WireGuard interfaces on the host (wg show interfaces)
+async function listInterfaces() {
+  const { stdout } = await run('wg', ['show', 'interfaces']);
+  return stdout.trim().split(/\s+/).filter(Boolean);
+}
+
+// Structured state of one interface (wg show <iface> dump)
+async function dump(iface) {
+  validateInterfaceName(iface);
+  const { stdout } = await run('wg', ['show', iface, 'dump']);
+  const [parsed] = parseDump(stdout, iface);
+  if (!parsed) {
+    throw new CommandError(`Unexpected output from wg show ${iface} dump`, { command: `wg show ${iface} dump` });
+  }
+  return parsed;
+}
+
+// Structured state of every interface (wg show all dump)
+async function dumpAll() {
+  const { stdout } = await run('wg', ['show', 'all', 'dump']);
+  return parseDump(stdout);
+}
+
+// Preshared keys of an interface's peers (wg show <iface> preshared-keys).
+// Kept out of the dump model on purpose; only used to restore a peer exactly.
+async function presharedKeys(iface) {
+  validateInterfaceName(iface);
+  const { stdout } = await run('wg', ['show', iface, 'preshared-keys']);
+  const keys = {};
+  for (const line of stdout.split('\n')) {
+    const [publicKey, presharedKey] = line.trim().split(/\s+/);
+    if (publicKey && presharedKey && presharedKey !== '(none)') {
+      keys[publicKey] = presharedKey;
+    }
+  }
+  return keys;
+}
+
+// Most recent handshake (epoch seconds) across a list of peers, or null
+function latestHandshake(peers) {
+  return peers.reduce((latest, peer) => (
+    peer.latestHandshake && (!latest || peer.latestHandshake > latest) ? peer.latestHandshake : latest
+  ), null);
+}
+
+// wg set <iface> peer <key> allowed-ips <cidrs> [preshared-key /dev/stdin] [persistent-keepalive <n>]
+// The preshared key is passed on stdin so it never shows up in the process list.
+async function setPeer(iface, publicKey, { allowedIPs, presharedKey = null, persistentKeepalive = null }) {
+  validateInterfaceName(iface);
+  validatePublicKey(publicKey);
+  const cidrs = validateAllowedIPs(allowedIPs);
+  const args = ['set', iface, 'peer', publicKey, 'allowed-ips', cidrs.join(',')];
+  if (presharedKey) {
+    validateKey(presharedKey, 'presharedKey');
+    args.push('preshared-key', '/dev/stdin');
+  }
+  if (persistentKeepalive !== null && persistentKeepalive !== undefined) {
+    args.push('persistent-keepalive', String(validateKeepalive(persistentKeepalive)));
+  }
+  await run('wg', args, { input: presharedKey ? `${presharedKey}\n` : null });
+  return { allowedIPs: cidrs };
+}
+
+// wg set <iface> peer <key> with only the given settings; an existing peer keeps its session.
+// presharedKey null removes the key, persistentKeepalive 0 turns keepalives off.
+async function updatePeer(iface, publicKey, { allowedIPs, presharedKey, persistentKeepalive, endpoint } = {}) {
+  validateInterfaceName(iface);
+  validatePublicKey(publicKey);
+  const args = ['set', iface, 'peer', publicKey];
+  let input = null;
+  if (allowedIPs !== undefined) {
+    args.push('allowed-ips', validateAllowedIPs(allowedIPs).join(','));
+  }
+  if (presharedKey) {
+    validateKey(presharedKey, 'presharedKey');
+    args.push('preshared-key', '/dev/stdin');
+    input = `${presharedKey}\n`;
+  } else if (presharedKey === null) {
+    args.push('preshared-key', '/dev/null');
+  }
+  if (persistentKeepalive !== undefined) {
+    args.push('persistent-keepalive', String(validateKeepalive(persistentKeepalive || 0)));
+  }
+  if (endpoint) {
+    args.push('endpoint', validateEndpoint(endpoint));
+  }
+  await run('wg', args, { input });
+}
+
+// wg genkey
+async function generatePrivateKey() {
+  const { stdout } = await run('wg', ['genkey']);
+  return validateKey(stdout.trim(), 'generated private key');
+}
+
+// wg pubkey (private key on stdin)
+async function derivePublicKey(privateKey) {
+  validateKey(privateKey, 'privateKey');
+  const { stdout } = await run('wg', ['pubkey'], { input: `${privateKey}\n` });
+  return validateKey(stdout.trim(), 'derived public key');
+}
+
+// wg genpsk
+async function generatePresharedKey() {
+  const { stdout } = await run('wg', ['genpsk']);
+  return validateKey(stdout.trim(), 'generated preshared key');
+}
+
+// wg set <iface> peer <key> remove
+async function removePeer(iface, publicKey) {
+  validateInterfaceName(iface);
+  validatePublicKey(publicKey);
+  await run('wg', ['set', iface, 'peer', publicKey, 'remove']);
+}
+
+// wg-quick save <iface>
+async function saveConfig(iface) {
+  validateInterfaceName(iface);
+  await run('wg-quick', ['save', iface]);
+}
+
+// wg-quick strip: the config file without wg-quick-only settings (Address, DNS, PostUp, ...)
+async function stripConfig(file) {
+  const { stdout } = await run('wg-quick', ['strip', file]);
+  return stdout;
+}
+
+// wg showconf: the running interface as a config (includes the private key and preshared keys)
+async function showConfig(iface) {
+  validateInterfaceName(iface);
+  const { stdout } = await run('wg', ['showconf', iface]);
+  return stdout;
+}
+
+// wg syncconf: make the interface match a (stripped) config, leaving unchanged peers alone
+async function syncConfig(iface, text) {
+  validateInterfaceName(iface);
+  await run('wg', ['syncconf', iface, '/dev/stdin'], { input: text });
+}
+
+// Whether the interface exists and is up.
+// WireGuard interfaces can show as UP, UNKNOWN, or have LOWER_UP flag
+async function isInterfaceUp(iface) {
+  validateInterfaceName(iface);
+  try {
+    const { stdout } = await run('ip', ['link', 'show', iface]);
+    return stdout.includes(iface) && (
+      stdout.includes('state UP') ||
+      stdout.includes('state UNKNOWN') ||
+      stdout.includes('LOWER_UP')
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+// Addresses assigned to the interface itself (ip -o addr show dev <iface>), as CIDRs.
+// Link-local IPv6 addresses are skipped.
+async function interfaceAddresses(iface) {
+  validateInterfaceName(iface);
+  try {
+    const { stdout } = await run('ip', ['-o', 'addr', 'show', 'dev', iface]);
+    const addresses = [];
+    for (const line of stdout.split('\n')) {
+      const match = line.match(/\sinet6?\s+([0-9a-fA-F:.]+\/\d+)/);
+      if (match && !/^fe80:/i.test(match[1])) {
+        addresses.push(match[1]);
+      }
+    }
+    return addresses;
+  } catch (error) {
+    return [];
+  }
+}
+
+// systemctl is-active wg-quick@<iface>; returns the raw state ("active", "inactive", ...)
+async function serviceState(iface) {
+  validateInterfaceName(iface);
+  try {
+    const { stdout } = await run('systemctl', ['is-active', `wg-quick@${iface}`]);
+    return stdout.trim().toLowerCase();
+  } catch (error) {
+    // systemctl returns non-zero exit code if service is not active
+    if (error.exitCode === 3 || error.exitCode === 1) {
+      return 'inactive';
+    }
+    throw error;
+  }
+}
+
+// How interfaces are started and stopped: systemd (wg-quick@<iface>) when the host booted with it
+function serviceManager(preferred = 'auto') {
+  if (preferred !== 'auto') {
+    return preferred;
+  }
+  return fs.existsSync('/run/systemd/system') ? 'systemd' : 'wg-quick';
+}
+
+// Start, stop or restart an interface
+async function controlInterface(iface, action, manager = 'auto') {
+  validateInterfaceName(iface);
+  if (!LIFECYCLE_ACTIONS.includes(action)) {
+    throw new ValidationError(`action must be one of: ${LIFECYCLE_ACTIONS.join(', ')}`, 'INVALID_ACTION');
+  }
+  if (serviceManager(manager) === 'systemd') {
+    await run('systemctl', [action, `wg-quick@${iface}`], { timeout: LIFECYCLE_TIMEOUT });
+    return;
+  }
+  if (action !== 'start') {
+    try {
+      await run('wg-quick', ['down', iface], { timeout: LIFECYCLE_TIMEOUT });
+    } catch (error) {
+      // Restarting an interface that is already down just brings it up
+      if (action === 'stop') {
+        throw error;
+      }
+    }
+  }
+  if (action !== 'stop') {
+    await run('wg-quick', ['up', iface], { timeout: LIFECYCLE_TIMEOUT });
+  }
+}
+
+// Check whether anything listens on a UDP port, using ss and falling back to netstat
+async function isUdpPortListening(port) {
+  const value = validatePort(port);
+  const matches = stdout => stdout.split('\n').some((line) => {
+    const columns = line.trim().split(/\s+/);
+    return columns.some(column => column.endsWith(`:${value}`));
+  });
+
+  try {
+    const { stdout } = await run('ss', ['-uln']);
+    return matches(stdout);
+  } catch (ssError) {
+    try {
+      const { stdout } = await run('netstat', ['-uln']);
+      return matches(stdout);
+    } catch (netstatError) {
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  LIFECYCLE_ACTIONS,
+  SERVICE_MANAGERS,
+  run,
+  validateKey,
+  validatePublicKey,
+  validateCIDR,
+  validateAllowedIPs,
+  validateInterfaceName,
+  validateKeepalive,
+  validateEndpoint,
+  validatePort,
+  listInterfaces,
+  parseDump,
+  dump,
+  dumpAll,
+  presharedKeys,
+  latestHandshake,
+  setPeer,
+  updatePeer,
+  removePeer,
+  generatePrivateKey,
+  derivePublicKey,
+  generatePresharedKey,
+  saveConfig,
+  stripConfig,
+  showConfig,
+  syncConfig,
+  isInterfaceUp,
+  interfaceAddresses,
+  serviceState,
+  serviceManager,
+  controlInterface,
+  isUdpPortListening
+};
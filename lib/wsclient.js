@@ -0,0 +1,263 @@
+// WebSocket transport for backend commands
+//
+// Connects to <WS_URL>/agent/commands with the agent's API key and server id in
+// the handshake headers, announces itself with a "hello" message, and runs
+// incoming commands through the command dispatcher. Dead connections are
+// detected with ping/pong; reconnects back off exponentially with jitter.
+// The agent can also push its own events over the open connection.
+//
+// Messages without a protocol version are handled the old way (no ack, reply
+// type per command) so existing backends keep working.
+
+const WebSocket = require('ws');
+const { PROTOCOL_VERSION, validateEnvelope } = require('./commands');
+
+// Reply types of the pre-envelope protocol
+const LEGACY_REPLY_TYPES = {
+  add_peer: 'peer_added',
+  remove_peer: 'peer_removed',
+  provision_peer: 'peer_provisioned'
+};
+
+// Backend messages that need no reply
+const CONTROL_TYPES = ['welcome', 'ack', 'result', 'error'];
+
+// A connection that stayed up this long resets the backoff
+const STABLE_CONNECTION = 30 * 1000;
+
+// Delay before reconnect attempt n: exponential, capped, with jitter
+function backoffDelay(attempt, baseDelay, maxDelay) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function commandsUrl(config) {
+  const base = config.wsUrl.replace(/^http:\/\//, 'ws://').replace(/^https:\/\//, 'wss://').replace(/\/+$/, '');
+  return `${base}/agent/commands?serverId=${encodeURIComponent(config.serverId)}`;
+}
+
+// options:
+//   config      - agent config (wsUrl, serverId, apiKey, wsPingInterval, wsReconnectBaseDelay, wsReconnectMaxDelay)
+//   tls         - TLS manager (lib/tls); client certificate, CA bundle and pins for wss://
+//   dispatcher  - command dispatcher (lib/commands)
+//   hello       - async () => extra fields for the hello message
+//   onStable    - () => void; the connection has stayed up for a while
+//   onDown      - (failures) => void; the connection closed or could not be opened,
+//                 failures counts consecutive attempts without a stable connection
+//   onUndelivered - (reply) => void; a command reply that could not be sent because the
+//                   connection closed while the command ran
+function createCommandSocket({ config, tls, dispatcher, hello, onStable, onDown, onUndelivered }) {
+  let socket = null;
+  let connected = false;
+  let stopped = false;
+  let attempt = 0;
+  let reconnectTimer = null;
+
+  function send(ws, message) {
+    if (ws.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    ws.send(JSON.stringify(message));
+    return true;
+  }
+
+  // Command replies must not be lost with the connection
+  function sendReply(ws, reply) {
+    if (!send(ws, reply) && onUndelivered) {
+      onUndelivered(reply);
+    }
+  }
+
+  async function handleEnvelope(ws, message) {
+    const invalid = validateEnvelope(message);
+    if (invalid) {
+      send(ws, { v: PROTOCOL_VERSION, type: 'error', id: message.id || null, success: false, error: { code: 'BAD_REQUEST', message: invalid } });
+      return;
+    }
+    send(ws, { v: PROTOCOL_VERSION, type: 'ack', id: message.id });
+    const outcome = await dispatcher.dispatch(message, { transport: 'websocket' });
+    if (outcome.duplicate) {
+      console.log(`🔁 Duplicate command ${message.type} (${message.id}); replying with the earlier result`);
+    }
+    sendReply(ws, dispatcher.reply(message.id, message.type, outcome));
+  }
+
+  async function handleLegacy(ws, message) {
+    const replyType = LEGACY_REPLY_TYPES[message.type];
+    if (!replyType) {
+      send(ws, { type: 'error', success: false, command: message.type || null, error: `Unknown command type "${message.type}"`, code: 'UNKNOWN_COMMAND' });
+      return;
+    }
+    const { type, ...payload } = message;
+    const outcome = await dispatcher.dispatch({ type, payload }, { transport: 'websocket' });
+    sendReply(ws, {
+      type: replyType,
+      success: outcome.success,
+      publicKey: message.publicKey,
+      ...(outcome.data || {}),
+      error: outcome.error && outcome.error.message,
+      code: outcome.error && outcome.error.code
+    });
+  }
+
+  async function onMessage(ws, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      send(ws, { v: PROTOCOL_VERSION, type: 'error', id: null, success: false, error: { code: 'BAD_REQUEST', message: 'Message is not valid JSON' } });
+      return;
+    }
+    if (!message || typeof message !== 'object' || CONTROL_TYPES.includes(message.type)) {
+      return;
+    }
+    if (message.v === undefined) {
+      await handleLegacy(ws, message);
+    } else {
+      await handleEnvelope(ws, message);
+    }
+  }
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) {
+      return;
+    }
+    if (onDown) {
+      onDown(attempt + 1);
+    }
+    const delay = backoffDelay(attempt, config.wsReconnectBaseDelay, config.wsReconnectMaxDelay);
+    attempt += 1;
+    console.log(`🔌 WebSocket disconnected, reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${attempt})...`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  function connect() {
+    if (!config.wsUrl || socket) {
+      return;
+    }
+    stopped = false;
+
+    const headers = { 'X-Server-Id': config.serverId };
+    if (config.apiKey) {
+      headers['X-API-Key'] = config.apiKey;
+    }
+
+    let ws;
+    try {
+      ws = new WebSocket(commandsUrl(config), { headers, handshakeTimeout: 10000, ...(tls ? tls.backendOptions() : {}) });
+    } catch (error) {
+      console.error('WebSocket connection error:', error.message);
+      scheduleReconnect();
+      return;
+    }
+    socket = ws;
+
+    let alive = true;
+    let pingTimer = null;
+    let stableTimer = null;
+
+    ws.on('open', async () => {
+      connected = true;
+      console.log('🔌 WebSocket connected to backend');
+
+      stableTimer = setTimeout(() => {
+        attempt = 0;
+        if (onStable) {
+          onStable();
+        }
+      }, STABLE_CONNECTION);
+
+      // Liveness: terminate when a ping goes unanswered for a whole interval
+      pingTimer = setInterval(() => {
+        if (!alive) {
+          console.warn('⚠️  WebSocket ping timed out, dropping connection');
+          ws.terminate();
+          return;
+        }
+        alive = false;
+        ws.ping();
+      }, config.wsPingInterval);
+
+      try {
+        send(ws, {
+          v: PROTOCOL_VERSION,
+          type: 'hello',
+          serverId: config.serverId,
+          protocol: PROTOCOL_VERSION,
+          commands: dispatcher.types(),
+          ...(hello ? await hello() : {})
+        });
+      } catch (error) {
+        console.error('Error sending WebSocket hello:', error.message);
+      }
+    });
+
+    ws.on('pong', () => {
+      alive = true;
+    });
+
+    ws.on('message', (data) => {
+      alive = true;
+      onMessage(ws, data).catch(error => {
+        console.error('Error processing WebSocket message:', error.message);
+      });
+    });
+
+    ws.on('error', (error) => {
+      console.error('WebSocket error:', error.message);
+    });
+
+    ws.on('close', () => {
+      clearInterval(pingTimer);
+      clearTimeout(stableTimer);
+      if (socket !== ws) {
+        return; // closed on purpose, possibly already replaced by a new connection
+      }
+      connected = false;
+      socket = null;
+      scheduleReconnect();
+    });
+  }
+
+  // Push an agent-initiated message (event) to the backend; false when not connected
+  function publish(message) {
+    return Boolean(socket) && send(socket, { v: PROTOCOL_VERSION, ...message });
+  }
+
+  function close() {
+    stopped = true;
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    if (socket) {
+      const ws = socket;
+      socket = null;
+      connected = false;
+      ws.close();
+    }
+  }
+
+  // Drop the current connection and open a new one right away (settings changed)
+  function reconnect() {
+    close();
+    attempt = 0;
+    connect();
+  }
+
+  return {
+    connect,
+    close,
+    reconnect,
+    publish,
+    isConnected: () => connected
+  };
+}
+
+module.exports = {
+  backoffDelay,
+  createCommandSocket
+};
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ipam = require('../lib/ipam');
+const { normalizeBatch, planBatch, applyToPeers } = require('../lib/batch');
+
+const key = n => Buffer.alloc(32, n).toString('base64');
+const A = key(1);
+const B = key(2);
+const C = key(3);
+const D = key(4);
+const E = key(5);
+
+const addressPlan = cidr => async () => ({ pools: [ipam.parseCIDR(cidr)], excluded: [ipam.parseCIDR('10.0.0.1')] });
+
+test('normalizeBatch validates every item and keeps the valid ones', () => {
+  const { operations, results } = normalizeBatch([
+    { op: 'add', publicKey: A, allowedIPs: '10.0.0.5/32' },
+    { op: 'rename', publicKey: B },
+    { op: 'remove', publicKey: 'not-a-key' },
+    { op: 'update', publicKey: A },
+    { op: 'remove', publicKey: C }
+  ], 10);
+
+  assert.deepEqual(operations.map(item => [item.index, item.op]), [[0, 'add'], [4, 'remove']]);
+  assert.deepEqual(results.map(item => item.status), ['pending', 'failed', 'failed', 'failed', 'pending']);
+  assert.equal(results[1].code, 'INVALID_OPERATION');
+  assert.equal(results[2].code, 'INVALID_KEY');
+  assert.equal(results[3].code, 'DUPLICATE_PEER');
+  assert.deepEqual(operations[0].allowedIPs, ['10.0.0.5/32']);
+});
+
+test('normalizeBatch rejects empty and oversized batches', () => {
+  assert.throws(() => normalizeBatch([], 10), { code: 'INVALID_BATCH' });
+  assert.throws(() => normalizeBatch('add', 10), { code: 'INVALID_BATCH' });
+  assert.throws(() => normalizeBatch([{ op: 'remove', publicKey: A }, { op: 'remove', publicKey: B }], 1), { code: 'BATCH_TOO_LARGE' });
+});
+
+test('planBatch allocates distinct addresses to every add in one batch', async () => {
+  const { operations } = normalizeBatch([{ op: 'add', publicKey: A }, { op: 'add', publicKey: B }, { op: 'add', publicKey: C }], 10);
+  const peers = [{ publicKey: D, allowedIPs: ['10.0.0.2/32'] }];
+  const { planned, errors } = await planBatch(operations, { peers, plan: addressPlan('10.0.0.0/24') });
+
+  assert.equal(errors.size, 0);
+  assert.deepEqual(planned.map(item => item.allowedIPs[0]), ['10.0.0.3/32', '10.0.0.4/32', '10.0.0.5/32']);
+  assert.ok(planned.every(item => item.allocated && !item.existed));
+});
+
+test('planBatch loads the address plan only when something needs allocating', async () => {
+  let loads = 0;
+  const plan = async () => {
+    loads += 1;
+    return addressPlan('10.0.0.0/24')();
+  };
+  const { operations } = normalizeBatch([{ op: 'add', publicKey: A, allowedIPs: '10.0.0.9/32' }, { op: 'remove', publicKey: B }], 10);
+  await planBatch(operations, { peers: [{ publicKey: B, allowedIPs: ['10.0.0.2/32'] }], plan });
+  assert.equal(loads, 0);
+});
+
+test('planBatch reports conflicts with existing peers, disabled ones included', async () => {
+  const { operations } = normalizeBatch([
+    { op: 'add', publicKey: A, allowedIPs: '10.0.0.2/32' }, // D has it
+    { op: 'add', publicKey: B, allowedIPs: '10.0.0.7/32' }, // E has it while suspended
+    { op: 'add', publicKey: C, allowedIPs: '10.0.0.0/29' } // overlaps D's address
+  ], 10);
+  const peers = [{ publicKey: D, allowedIPs: ['10.0.0.2/32'] }, { publicKey: E, allowedIPs: ['10.0.0.7/32'] }];
+  const { planned, errors } = await planBatch(operations, { peers, plan: addressPlan('10.0.0.0/24') });
+
+  assert.equal(planned.length, 0);
+  assert.deepEqual([...errors.keys()], [0, 1, 2]);
+  for (const error of errors.values()) {
+    assert.equal(error.code, 'ADDRESS_CONFLICT');
+  }
+  assert.ok(errors.get(1).message.includes(E.substring(0, 16)));
+});
+
+test('planBatch lets a later operation take an address an earlier one did not, and not one it did', async () => {
+  const { operations } = normalizeBatch([
+    { op: 'add', publicKey: A, allowedIPs: '10.0.0.20/32' },
+    { op: 'add', publicKey: B, allowedIPs: '10.0.0.20/32' }
+  ], 10);
+  const { planned, errors } = await planBatch(operations, { peers: [], plan: addressPlan('10.0.0.0/24') });
+  assert.deepEqual(planned.map(item => item.publicKey), [A]);
+  assert.equal(errors.get(1).code, 'ADDRESS_CONFLICT');
+});
+
+test('planBatch frees the addresses of peers removed in the same batch', async () => {
+  const { operations } = normalizeBatch([
+    { op: 'remove', publicKey: D },
+    { op: 'add', publicKey: A, allowedIPs: '10.0.0.2/32' }
+  ], 10);
+  const peers = [{ publicKey: D, allowedIPs: ['10.0.0.2/32'] }];
+  const { planned, errors } = await planBatch(operations, { peers, plan: addressPlan('10.0.0.0/24') });
+  assert.equal(errors.size, 0);
+  assert.deepEqual(planned.map(item => [item.op, item.allowedIPs[0]]), [['remove', '10.0.0.2/32'], ['add', '10.0.0.2/32']]);
+});
+
+test('planBatch keeps the addresses of existing peers and rejects unknown ones', async () => {
+  const { operations } = normalizeBatch([
+    { op: 'update', publicKey: D, presharedKey: null },
+    { op: 'update', publicKey: A },
+    { op: 'remove', publicKey: B }
+  ], 10);
+  const peers = [{ publicKey: D, allowedIPs: ['10.0.0.2/32'] }];
+  const { planned, errors } = await planBatch(operations, { peers, plan: addressPlan('10.0.0.0/24') });
+
+  assert.deepEqual(planned, [{ index: 0, op: 'update', publicKey: D, allowedIPs: ['10.0.0.2/32'], presharedKey: null, existed: true, allocated: false }]);
+  assert.equal(errors.get(1).code, 'PEER_NOT_FOUND');
+  assert.equal(errors.get(2).code, 'PEER_NOT_FOUND');
+});
+
+test('planBatch reports an exhausted pool per operation', async () => {
+  const { operations } = normalizeBatch([{ op: 'add', publicKey: A }, { op: 'add', publicKey: B }], 10);
+  // /30: 10.0.0.1 is the server, 10.0.0.2 the only peer address
+  const { planned, errors } = await planBatch(operations, { peers: [], plan: addressPlan('10.0.0.0/30') });
+  assert.deepEqual(planned.map(item => item.allowedIPs[0]), ['10.0.0.2/32']);
+  assert.equal(errors.get(1).code, 'POOL_EXHAUSTED');
+});
+
+test('applyToPeers adds, updates and removes while keeping unrelated settings', () => {
+  const peers = [
+    { publicKey: D, allowedIPs: ['10.0.0.2/32'], presharedKey: key(9), persistentKeepalive: 25, endpoint: '198.51.100.1:51820' },
+    { publicKey: C, allowedIPs: ['10.0.0.3/32'], presharedKey: null, persistentKeepalive: null, endpoint: null }
+  ];
+  const next = applyToPeers(peers, [
+    { op: 'update', publicKey: D, allowedIPs: ['10.0.0.12/32'] },
+    { op: 'remove', publicKey: C },
+    { op: 'add', publicKey: A, allowedIPs: ['10.0.0.4/32'], presharedKey: key(8) },
+    { op: 'update', publicKey: B, allowedIPs: ['10.0.0.5/32'] } // disabled: not on the interface
+  ]);
+
+  assert.deepEqual(next, [
+    { publicKey: D, allowedIPs: ['10.0.0.12/32'], presharedKey: key(9), persistentKeepalive: 25, endpoint: '198.51.100.1:51820' },
+    { publicKey: A, allowedIPs: ['10.0.0.4/32'], presharedKey: key(8), persistentKeepalive: null, endpoint: null }
+  ]);
+  // The input list is left alone
+  assert.deepEqual(peers[0].allowedIPs, ['10.0.0.2/32']);
+  assert.equal(peers.length, 2);
+});
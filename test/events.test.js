@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventStream } = require('../lib/events');
+
+const config = { eventStreamBuffer: 3 };
+
+test('event ids carry the epoch of the stream', () => {
+  const stream = createEventStream({ config, epoch: 1700000000000 });
+  assert.equal(stream.publish({ type: 'a' }).id, '1700000000000-1');
+  assert.equal(stream.publish({ type: 'b' }).id, '1700000000000-2');
+});
+
+test('since replays the buffered events after an id of the same epoch', () => {
+  const stream = createEventStream({ config, epoch: 5 });
+  ['a', 'b', 'c', 'd'].forEach(type => stream.publish({ type }));
+  assert.deepEqual(stream.since('5-2').map(entry => entry.event.type), ['c', 'd']);
+  assert.deepEqual(stream.since('5-4'), []);
+  // Older than the buffer: everything still buffered
+  assert.deepEqual(stream.since('5-0').map(entry => entry.event.type), ['b', 'c', 'd']);
+});
+
+test('since replays the whole buffer for an id from another epoch', () => {
+  const stream = createEventStream({ config, epoch: 9 });
+  ['a', 'b'].forEach(type => stream.publish({ type }));
+  // After a restart the client still holds an id of the previous run, possibly a higher one
+  assert.deepEqual(stream.since('8-40').map(entry => entry.event.type), ['a', 'b']);
+  assert.deepEqual(stream.since('40').map(entry => entry.event.type), ['a', 'b']);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createExpiryScheduler } = require('../lib/expiry');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'vexira-expiry-'));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('expiry runs never overlap when removing a peer clears its schedule', async () => {
+  const removals = [];
+  const scheduler = createExpiryScheduler({
+    config: { dataDir: tempDir() },
+    // Like the agent's removePeer: slow, and it clears the peer's expiry (which re-arms the timer)
+    removePeer: async (publicKey) => {
+      removals.push(publicKey);
+      await sleep(30);
+      await scheduler.clear(publicKey);
+      return { success: true };
+    }
+  });
+  await scheduler.start();
+  const soon = new Date(Date.now() + 50);
+  await scheduler.set('peer-a', 'wg0', soon);
+  await scheduler.set('peer-b', 'wg0', soon);
+  await sleep(300);
+  scheduler.stop();
+
+  assert.deepEqual(removals.sort(), ['peer-a', 'peer-b']);
+  assert.deepEqual(await scheduler.upcoming(), []);
+  assert.ok(await scheduler.wasExpired('peer-a'));
+});
+
+test('concurrent removeExpired calls share one run', async () => {
+  let calls = 0;
+  const scheduler = createExpiryScheduler({
+    config: { dataDir: tempDir() },
+    removePeer: async () => {
+      calls += 1;
+      await sleep(10);
+      return { success: true };
+    }
+  });
+  await scheduler.set('peer-a', 'wg0', new Date(Date.now() + 20));
+  await sleep(30);
+  const [first, second] = await Promise.all([scheduler.removeExpired(), scheduler.removeExpired()]);
+  assert.equal(calls, 1);
+  assert.equal(first, second);
+});
+
+test('a failed removal is retried later unless the schedule was cleared meanwhile', async () => {
+  const scheduler = createExpiryScheduler({
+    config: { dataDir: tempDir() },
+    removePeer: async (publicKey) => {
+      if (publicKey === 'peer-b') {
+        await scheduler.clear(publicKey);
+      }
+      return { success: false, error: 'interface down' };
+    }
+  });
+  await scheduler.set('peer-a', 'wg0', new Date(Date.now() + 20));
+  await scheduler.set('peer-b', 'wg0', new Date(Date.now() + 20));
+  await sleep(30);
+  assert.deepEqual(await scheduler.removeExpired(), []);
+  assert.deepEqual((await scheduler.upcoming()).map(entry => entry.publicKey), ['peer-a']);
+  assert.ok((await scheduler.get('peer-a')).retryAt > Date.now());
+  assert.equal(await scheduler.get('peer-b'), null);
+});
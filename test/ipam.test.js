@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ipam = require('../lib/ipam');
+
+const pool = cidr => ipam.parseCIDR(cidr);
+
+test('parseCIDR normalizes to the network address and defaults to a host prefix', () => {
+  assert.equal(pool('10.8.0.77/24').cidr, '10.8.0.0/24');
+  assert.equal(pool('10.8.0.77').cidr, '10.8.0.77/32');
+  assert.equal(pool('fd42:42:42::1/64').cidr, 'fd42:42:42::/64');
+  assert.equal(pool('fd42::5').prefix, 128);
+  assert.throws(() => pool('10.0.0.0/33'), { code: 'INVALID_CIDR' });
+  assert.throws(() => pool('10.0.0.256/24'));
+});
+
+test('allocate skips the network, broadcast, server and reserved addresses', () => {
+  const excluded = [pool('10.0.0.1'), ipam.parseRange('10.0.0.2-10.0.0.9')];
+  assert.deepEqual(ipam.allocate({ pools: [pool('10.0.0.0/24')], used: [], excluded }), ['10.0.0.10/32']);
+  assert.deepEqual(ipam.allocate({ pools: [pool('10.0.0.0/24')], used: ['10.0.0.10/32', '10.0.0.11/32'], excluded }), ['10.0.0.12/32']);
+});
+
+test('allocate fills gaps left by removed peers', () => {
+  const used = ['10.0.0.2/32', '10.0.0.4/32'];
+  assert.deepEqual(ipam.allocate({ pools: [pool('10.0.0.0/24')], used, excluded: [pool('10.0.0.1')] }), ['10.0.0.3/32']);
+});
+
+test('allocate treats a wider allowed IP as using every address in it', () => {
+  const used = ['10.0.0.0/29'];
+  assert.deepEqual(ipam.allocate({ pools: [pool('10.0.0.0/24')], used }), ['10.0.0.8/32']);
+});
+
+test('allocate hands out one address per pool (dual stack)', () => {
+  const pools = [pool('10.0.0.0/24'), pool('fd42::/64')];
+  const excluded = [pool('10.0.0.1'), pool('fd42::1')];
+  assert.deepEqual(ipam.allocate({ pools, used: ['10.0.0.2/32', 'fd42::2/128'], excluded }), ['10.0.0.3/32', 'fd42::3/128']);
+});
+
+test('allocate reports an exhausted pool', () => {
+  // /29: .1 server, .2 - .6 peers, .7 broadcast
+  const used = ['10.0.0.2/32', '10.0.0.3/32', '10.0.0.4/32', '10.0.0.5/32'];
+  const options = { pools: [pool('10.0.0.0/29')], excluded: [pool('10.0.0.1')] };
+  assert.deepEqual(ipam.allocate({ ...options, used }), ['10.0.0.6/32']);
+  assert.throws(() => ipam.allocate({ ...options, used: [...used, '10.0.0.6/32'] }), { code: 'POOL_EXHAUSTED', statusCode: 409 });
+});
+
+test('allocate reports exhaustion when any pool of a dual-stack interface is full', () => {
+  const pools = [pool('10.0.0.0/30'), pool('fd42::/64')];
+  assert.throws(() => ipam.allocate({ pools, used: ['10.0.0.1/32', '10.0.0.2/32'] }), { code: 'POOL_EXHAUSTED', message: /10\.0\.0\.0\/30/ });
+});
+
+test('allocate uses every address of /31 and /32 pools', () => {
+  assert.deepEqual(ipam.allocate({ pools: [pool('10.0.0.0/31')], used: ['10.0.0.0/32'] }), ['10.0.0.1/32']);
+  assert.deepEqual(ipam.allocate({ pools: [pool('10.0.0.5/32')] }), ['10.0.0.5/32']);
+  assert.throws(() => ipam.allocate({ pools: [pool('10.0.0.5/32')], used: ['10.0.0.5/32'] }), { code: 'POOL_EXHAUSTED' });
+});
+
+test('allocate needs a pool', () => {
+  assert.throws(() => ipam.allocate({ pools: [] }), { code: 'NO_ADDRESS_POOL' });
+});
+
+test('findConflicts finds overlaps on any peer but the one being changed', () => {
+  const peers = [
+    { publicKey: 'a', allowedIPs: ['10.0.0.2/32', 'fd42::2/128'] },
+    { publicKey: 'b', allowedIPs: ['10.0.1.0/24'] }
+  ];
+  assert.deepEqual(ipam.findConflicts(['10.0.1.7/32'], peers), [{ publicKey: 'b', allowedIP: '10.0.1.0/24', requested: '10.0.1.7/32' }]);
+  assert.deepEqual(ipam.findConflicts(['10.0.0.2/32'], peers, 'a'), []);
+  assert.deepEqual(ipam.findConflicts(['10.0.0.3/32', 'fd42::3/128'], peers), []);
+  assert.equal(ipam.findConflicts(['0.0.0.0/0'], peers).length, 2);
+});
+
+test('parsePools and parseReserved read per-interface lists', () => {
+  const pools = ipam.parsePools('wg0=10.0.0.0/24|fd00::/64;wg1=10.1.0.0/24');
+  assert.deepEqual(Object.keys(pools), ['wg0', 'wg1']);
+  assert.deepEqual(pools.wg0.map(item => item.cidr), ['10.0.0.0/24', 'fd00::/64']);
+
+  const reserved = ipam.parseReserved('wg0=10.0.0.2-10.0.0.9|10.0.0.250/31');
+  assert.equal(reserved.wg0.length, 2);
+  assert.equal(ipam.formatIP(4, reserved.wg0[0].last), '10.0.0.9');
+
+  assert.throws(() => ipam.parsePools('wg0'));
+  assert.throws(() => ipam.parseReserved('wg0=10.0.0.9-10.0.0.2'), { code: 'INVALID_RANGE' });
+  assert.throws(() => ipam.parseReserved('wg0=10.0.0.2-fd00::1'), { code: 'INVALID_RANGE' });
+});
+
+test('poolUsage counts assigned host addresses and the next free one', () => {
+  const usage = ipam.poolUsage(pool('10.0.0.0/29'), ['10.0.0.2/32', '10.0.0.3/32', '192.168.1.2/32'], [pool('10.0.0.1')]);
+  assert.deepEqual(usage, { cidr: '10.0.0.0/29', family: 'ipv4', size: '6', assigned: 2, next: '10.0.0.4' });
+
+  const full = ipam.poolUsage(pool('10.0.0.0/30'), ['10.0.0.2/32'], [pool('10.0.0.1')]);
+  assert.equal(full.next, null);
+});
+
+test('createLock runs tasks for the same key one after another', async () => {
+  const withLock = ipam.createLock();
+  const order = [];
+  const task = (name, delay) => () => new Promise((resolve) => {
+    order.push(`${name} start`);
+    setTimeout(() => {
+      order.push(`${name} end`);
+      resolve(name);
+    }, delay);
+  });
+
+  const failing = withLock('wg0', () => Promise.reject(new Error('boom')));
+  const results = await Promise.all([
+    withLock('wg0', task('first', 20)),
+    withLock('wg0', task('second', 0)),
+    failing.catch(error => error.message)
+  ]);
+  assert.deepEqual(results, ['first', 'second', 'boom']);
+  assert.deepEqual(order, ['first start', 'first end', 'second start', 'second end']);
+});
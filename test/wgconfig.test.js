@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseConfig, renderConfig, redactConfig, MANAGED_MARKER } = require('../lib/wgconfig');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const LAPTOP = 'Tb8PKpi05+xiMG4clgV5o7TRx1dDhRpnN+oK93OvQFQ=';
+const PHONE = '6dCIBkSgD6i1Mk3SND83yXdtb/5zPhpznxmpol/mdu0=';
+const PRESHARED = 'qwgXP3M9aOgDYo9jGa3brjSsU2xUvc3b/kc5tKIeqH0=';
+
+test('parseConfig reads the peers of a hand-written wg-quick config', () => {
+  const { peers } = parseConfig(fixture('wg0.conf'));
+  assert.deepEqual(peers, [
+    {
+      publicKey: LAPTOP,
+      allowedIPs: ['10.8.0.2/32', 'fd42:42:42::2/128'],
+      presharedKey: PRESHARED,
+      persistentKeepalive: null,
+      endpoint: null,
+      userId: null
+    },
+    {
+      publicKey: PHONE,
+      allowedIPs: ['10.8.0.3/32', 'fd42:42:42::3/128'], // two AllowedIPs lines
+      presharedKey: null,
+      persistentKeepalive: 25,
+      endpoint: '203.0.113.7:40123',
+      userId: null
+    }
+  ]);
+});
+
+test('parseConfig keeps the [Interface] section verbatim', () => {
+  const { interfaceSection } = parseConfig(fixture('wg0.conf'));
+  const lines = interfaceSection.split('\n');
+  assert.equal(lines[0], '# Written by hand on the server');
+  assert.ok(lines.includes('[Interface]'));
+  assert.ok(lines.includes('PostUp = iptables -A FORWARD -i %i -j ACCEPT; iptables -t nat -A POSTROUTING -o eth0 -j MASQUERADE'));
+  assert.ok(lines.includes('SaveConfig = false'));
+  assert.ok(!interfaceSection.includes('[Peer]'));
+  assert.ok(!interfaceSection.includes(LAPTOP));
+});
+
+test('parseConfig drops the managed marker and reads user comments', () => {
+  const { interfaceSection, peers } = parseConfig(fixture('wg1.conf'));
+  assert.ok(!interfaceSection.includes(MANAGED_MARKER));
+  assert.ok(!interfaceSection.endsWith('\n'));
+  assert.equal(peers.length, 1);
+  assert.equal(peers[0].userId, '42');
+  assert.equal(peers[0].persistentKeepalive, 25);
+});
+
+test('parseConfig accepts CRLF line endings, lower-case keys and PersistentKeepalive = off', () => {
+  const { interfaceSection, peers } = parseConfig(fixture('crlf.conf'));
+  assert.ok(!interfaceSection.includes('\r'));
+  assert.equal(peers.length, 1);
+  assert.equal(peers[0].publicKey, LAPTOP);
+  assert.deepEqual(peers[0].allowedIPs, ['10.7.0.2/32']);
+  assert.equal(peers[0].persistentKeepalive, null);
+});
+
+test('parseConfig ignores [Peer] sections without a public key', () => {
+  const { peers } = parseConfig('[Interface]\nListenPort = 51820\n\n[Peer]\nAllowedIPs = 10.0.0.2/32\n');
+  assert.deepEqual(peers, []);
+});
+
+test('renderConfig round-trips every fixture without losing peers or interface settings', () => {
+  for (const name of ['wg0.conf', 'wg1.conf', 'crlf.conf']) {
+    const parsed = parseConfig(fixture(name));
+    const rendered = renderConfig(parsed.interfaceSection, parsed.peers);
+    const reparsed = parseConfig(rendered);
+    assert.equal(reparsed.interfaceSection, parsed.interfaceSection, name);
+    assert.deepEqual(reparsed.peers, parsed.peers, name);
+    // Rendering what was rendered changes nothing
+    assert.equal(renderConfig(reparsed.interfaceSection, reparsed.peers), rendered, name);
+  }
+});
+
+test('renderConfig writes the marker once and one block per peer', () => {
+  const parsed = parseConfig(fixture('wg1.conf'));
+  const rendered = renderConfig(parsed.interfaceSection, parsed.peers);
+  assert.equal(rendered.split(MANAGED_MARKER).length, 2);
+  assert.equal(rendered, [
+    '[Interface]',
+    'Address = 10.9.0.1/24',
+    'ListenPort = 51821',
+    'PrivateKey = EavZ1wD3kZi7+4p6QhqVPJM9UfHH3G47T0orHRuRP3c=',
+    '',
+    MANAGED_MARKER,
+    '',
+    '[Peer]',
+    '# user: 42',
+    'PublicKey = higZcQa3jSb3hoXXRFU4mkDOAApA/iiummgKkeTTM0w=',
+    'AllowedIPs = 10.9.0.2/32',
+    'PersistentKeepalive = 25',
+    ''
+  ].join('\n'));
+});
+
+test('renderConfig with no peers leaves only the interface section', () => {
+  const parsed = parseConfig(fixture('wg0.conf'));
+  const reparsed = parseConfig(renderConfig(parsed.interfaceSection, []));
+  assert.deepEqual(reparsed.peers, []);
+  assert.equal(reparsed.interfaceSection, parsed.interfaceSection);
+});
+
+test('redactConfig hides private and preshared keys only', () => {
+  const redacted = redactConfig(fixture('wg0.conf'));
+  assert.ok(!redacted.includes('EavZ1wD3kZi7'));
+  assert.ok(!redacted.includes(PRESHARED));
+  assert.ok(redacted.includes('PrivateKey = (hidden)'));
+  assert.ok(redacted.includes('PresharedKey = (hidden)'));
+  assert.ok(redacted.includes(`PublicKey = ${LAPTOP}`));
+});